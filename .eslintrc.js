@@ -12,4 +12,12 @@ module.exports = {
   plugins: [],
   // add your custom rules here
   rules: {},
+  overrides: [
+    {
+      files: ['test/**/*.spec.js'],
+      env: {
+        jest: true,
+      },
+    },
+  ],
 }
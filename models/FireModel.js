@@ -15,48 +15,189 @@
  * tokenFields specifies the fields held by the class itself.
  * To store vulnerable Firestore queries, a token map is generated with
  * the strings stored in the specified fields.
+ * Strings are normalized before tokenization in the same way for stored
+ * tokens and search strings (width, kana, long vowels and optionally
+ * corporate suffixes with tokenOptions). (See models/normalize.js)
+ *
+ * belongsTo and hasMany (with name) can be loaded with the include option
+ * of fetch() and the query methods, and dependents() returns the documents
+ * that depend on the document. (See models/relation.js)
  *
  * The ability to delete dependent documents will not be implemented.
  * Use Cloud Functions as it must be atomic.
  *
  * The Autonumbers collection allows for automatic numbering.
- * To perform Autonumbers,
- * 1. specify the collection name in the document ID,
- * 2. 'current' as the current value
- * 3. 'length' as the number of digits
- * 4. 'field' as the field to be numbered
- * 5. define the condition in the field to mean validation.
+ * Prefixes and suffixes with date tokens, periodic resets and multiple
+ * fields are supported. (See models/autonumber.js)
+ *
+ * fetchDocs() and fetchDoc() return instances of the class itself.
+ * Constraints can be given as an array of Firestore query constraints
+ * (where, orderBy, limit) or as a simple object like below.
+ *
+ * { where: [['code', '==', '001']], orderBy: [['code', 'desc']], limit: 10 }
+ *
+ * Documents are read and written through an adapter. A Firestore instance
+ * given to the constructor is wrapped with the Firestore adapter, and an
+ * in-memory adapter can be given instead to run models without Firestore.
+ * (See models/adapters)
+ *
+ * Subcollections are handled by setting parent to the path of the parent
+ * document or an instance of the parent model.
+ * ex.) const site = new Site(this.$firestore, this.$auth)
+ *      site.parent = customer // or 'Customers/xxx'
+ *      await site.create() // -> Customers/xxx/Sites/yyy
+ * Autonumbers, audit logs and hasMany of type 'collection' are resolved
+ * under the parent. Prefix the collection of hasMany with '/' to refer to
+ * a root collection. The query methods accept { group: true } to query
+ * the collection group across all parents.
+ *
+ * Classes that extend this class are instantiated with (firestore, auth).
+ * Override createInstance() if the constructor takes other arguments.
+ * Classes placed under models/ are registered automatically and can be
+ * instantiated with this.$models.Xxx(). (See models/registry.js)
+ *
+ * paginate() returns a paginator for cursor-based pagination that can be
+ * bound to v-data-table. (See models/paginator.js)
+ *
+ * fetchDocsByString() searches documents with the token map.
+ * The search string is split into bi-grams and queried as
+ * where(new FieldPath('tokenMap', 'xx'), '==', true), so tokens may contain
+ * any characters such as '.' and '/'. The result is then filtered on the
+ * client side with the fields specified in tokenFields.
+ * Run rebuildTokenMap() once after changing tokenFields, tokenOptions or
+ * the normalization to rewrite tokenMap of existing documents.
+ *
+ * subscribe() keeps the properties in sync with the document, and
+ * subscribeDocs() keeps the returned array in sync with the query.
+ * Call unsubscribe() to remove listeners. Listeners of models held in
+ * a component's data are removed automatically when it is destroyed.
+ * (See plugins/firemodel.listener.js)
+ *
+ * Classes that extend this class can declare a static schema.
+ * initialize() sets default values and converts types with the schema,
+ * and create() and update() validate values before writing.
+ * (See models/schema.js)
+ *
+ * update() compares updateAt of the document with the value loaded by
+ * the instance, and throws ConflictError if they are different.
+ * While updateAt is an estimate after writing (see below), the fields of the
+ * document are compared with the values written by the instance instead.
+ * Instances without updateAt, such as those filled with initialize(), are
+ * not checked.
+ * Call update({ force: true }) to overwrite the document anyway.
+ *
+ * The values are kept as a snapshot after fetch(), create(), update() and
+ * so on. isDirty and changedFields() tell whether values have been changed
+ * since then, and reset() discards the changes. update() writes only the
+ * changed fields and skips writing if nothing has been changed.
+ *
+ * sendConsole() passes logs to the logger with the collection, docId,
+ * operation and uid as context. (See models/logger.js)
+ *
+ * Failures are thrown as error classes with a code and structured details,
+ * and their messages come from the locale table.
+ * (See models/errors.js and models/messages.js)
+ *
+ * createAt, updateAt and deleteAt are written with serverTimestamp().
+ * The documents are not read back after writing, and the instance holds
+ * estimates of them with the local time until it is fetched again.
+ * createDate and updateDate are not stored but formatted from them in the
+ * configured timezone. (See models/timestamp.js)
+ *
+ * If softDelete is set to true, delete() does not remove the document
+ * but marks it as deleted with isDeleted, deleteAt and deleteUid.
+ * fetch(), subscribe() and the query methods exclude deleted documents
+ * unless includeDeleted is specified. Deleted documents can be fetched with
+ * fetchTrash(), restored with restore() and removed with purge().
+ * Note that documents created before softDelete was enabled do not have
+ * the isDeleted field and are not hit by the query methods. Run
+ * backfillSoftDelete() once after enabling softDelete to set isDeleted to
+ * false on them.
+ * ex.) await Customer.backfillSoftDelete(this.$firestore, this.$auth)
+ *
+ * If auditLog is set to 'subcollection' or 'collection', every write
+ * records an audit log entry in the same transaction. Entries can be
+ * fetched with fetchHistory() and the document can be reverted to the
+ * version of an entry with revert(). (See models/audit.js)
+ *
+ * createMany(), updateMany() and deleteMany() are static methods that write
+ * many documents with write batches, split into chunks of 500 operations.
+ * They run hooks, validations and dependency checks for each item and
+ * return the result for each item.
+ * ex.) await Customer.createMany(this.$firestore, this.$auth, items)
+ * Autonumbers are assigned before writing, so numbers of failed chunks
+ * are skipped.
+ *
+ * count(), sum(), average() and aggregate() are static methods that
+ * aggregate documents on the server with aggregate queries of Firestore
+ * without reading them. Only in the local environment (the emulator), if an
+ * aggregate query fails, the documents are read and aggregated on the client
+ * side instead. They accept the same constraints and options as the query
+ * methods.
+ * ex.) const total = await Sale.sum(this.$firestore, this.$auth, 'amount')
+ * (See models/aggregate.js)
  */
 
+import { clone, coerce, getDefaults, toDate, validate } from './schema'
+import {
+  ConflictError,
+  DependentDocumentsExistError,
+  NotFoundError,
+  ValidationError,
+  toFireModelError,
+} from './errors'
+import { assignAutonumbers } from './autonumber'
 import {
-  collection,
-  collectionGroup,
-  deleteDoc,
-  doc,
-  getDoc,
-  getDocs,
-  limit,
-  query,
-  runTransaction,
-  updateDoc,
-  where,
-} from 'firebase/firestore'
+  AUDIT_LOG_COLLECTION,
+  AUDIT_LOG_MODES,
+  fetchAuditLog,
+  fetchAuditLogs,
+  getDiff,
+  writeAuditLog,
+} from './audit'
+import { fetchDependents, loadRelations } from './relation'
+import { formatTimestamp } from './timestamp'
+import Paginator from './paginator'
+import { toAdapter } from './adapters'
+import { log } from './logger'
+import { normalizeText } from './normalize'
+import { computeAggregate, parseAggregateSpec } from './aggregate'
+
+/**
+ * Maximum number of operations in a write batch.
+ */
+const MAX_BATCH_OPERATIONS = 500
+
+/**
+ * Fields written with serverTimestamp().
+ */
+const TIMESTAMP_FIELDS = ['createAt', 'updateAt', 'deleteAt']
 
 export default class FireModel {
-  #firestore
+  #adapter
   #collection
+  #parent = null
   #auth
   #hasMany = []
+  #belongsTo = []
   #tokenFields = []
+  #tokenOptions = {}
+  #softDelete = false
+  #auditLog = false
+  #listener = null
+  #docsListener = null
+  #snapshot = null
+  #estimatedAt = null
 
   /**
    * CONSTRUCTOR
-   * @param {*} firestore firestoreインスタンス
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
    * @param {string} collection 管理対象のコレクション名です。
    * @param {*} auth authインスタンス
+   * @param {object} options { parent } 親ドキュメントのパス、または親モデルのインスタンスです。
    */
-  constructor(firestore, collection, auth) {
-    this.#firestore = firestore
+  constructor(firestore, collection, auth, { parent = null } = {}) {
+    this.#adapter = toAdapter(firestore)
     if (!collection) {
       this.sendConsole({
         message: 'A collection is required at FireModel constructor.',
@@ -64,32 +205,45 @@ export default class FireModel {
       })
     }
     this.#collection = collection
+    this.#parent = FireModel.#toParentPath(parent)
     this.#auth = auth
     this.initialize()
     Object.defineProperties(this, {
+      relations: {
+        enumerable: false,
+        value: {},
+      },
+      createDate: {
+        enumerable: false,
+        get() {
+          return formatTimestamp(this.createAt)
+        },
+        set(v) {},
+      },
+      updateDate: {
+        enumerable: false,
+        get() {
+          return formatTimestamp(this.updateAt)
+        },
+        set(v) {},
+      },
       tokenMap: {
         // enumerable: true,
         enumerable: true,
         get() {
           if (!this.#tokenFields.length) return null
-          const arr = []
+          const result = {}
           this.#tokenFields.forEach((fieldName) => {
             if (fieldName in this) {
-              const target = this[fieldName].replace(/\s+/g, '')
-              for (let i = 0; i <= target.length - 1; i++) {
-                arr.push([target.substring(i, i + 1).toLowerCase(), true])
-              }
-              for (let i = 0; i <= target.length - 2; i++) {
-                arr.push([target.substring(i, i + 2).toLowerCase(), true])
-              }
+              Object.assign(result, this.getNgramTokenMap(this[fieldName]))
             }
           })
-          const result = Object.fromEntries(arr)
           return result
         },
         set(v) {},
       },
     })
+    this.#takeSnapshot()
   }
 
   get tokenFields() {
@@ -100,6 +254,18 @@ export default class FireModel {
     this.#tokenFields = v
   }
 
+  /**
+   * tokenMapの生成と検索で共通して使用される、文字列の正規化のオプションです。
+   * { removeCorporateSuffix } trueの場合、株式会社などの法人格を除去します。
+   */
+  get tokenOptions() {
+    return this.#tokenOptions
+  }
+
+  set tokenOptions(v) {
+    this.#tokenOptions = { ...v }
+  }
+
   get hasMany() {
     return this.#hasMany
   }
@@ -130,6 +296,65 @@ export default class FireModel {
     this.#hasMany = v
   }
 
+  get belongsTo() {
+    return this.#belongsTo
+  }
+
+  set belongsTo(v) {
+    if (!Array.isArray(v)) {
+      throw new TypeError(
+        `[FireModel.js] The belongsTo property must be an array.`
+      )
+    }
+    for (const item of v) {
+      const { name, field, collection: colName, model } = item
+      if (!name || !field || (!colName && !model)) {
+        // eslint-disable-next-line
+        console.error(item)
+        throw new Error(
+          `[FireModel.js] The belongsTo property is incorrectly set. It requires name, field and collection or model.`
+        )
+      }
+    }
+    this.#belongsTo = v
+  }
+
+  get softDelete() {
+    return this.#softDelete
+  }
+
+  set softDelete(v) {
+    this.#softDelete = !!v
+    if (!this.#softDelete) return
+    this.isDeleted = this.isDeleted || false
+    this.deleteAt = this.deleteAt || null
+    this.deleteUid = this.deleteUid || ''
+    // 追加したフィールドが変更として扱われないよう、スナップショットにも追加します。
+    if (this.#snapshot?.docId !== this.docId) return
+    const { isDeleted, deleteAt, deleteUid } = this
+    this.#snapshot = {
+      isDeleted,
+      deleteAt: clone(deleteAt),
+      deleteUid,
+      ...this.#snapshot,
+    }
+  }
+
+  get auditLog() {
+    return this.#auditLog
+  }
+
+  set auditLog(v) {
+    if (v && !AUDIT_LOG_MODES.includes(v)) {
+      throw new Error(
+        `[FireModel.js] The auditLog property must be one of ${AUDIT_LOG_MODES.join(
+          ', '
+        )}.`
+      )
+    }
+    this.#auditLog = v || false
+  }
+
   get collection() {
     return this.#collection
   }
@@ -138,8 +363,32 @@ export default class FireModel {
     this.#collection = v
   }
 
+  /**
+   * サブコレクションの場合、親ドキュメントのパスです。
+   * 親ドキュメントのパス（'Customers/xxx'）、またはdocIdを持つ親モデルのインスタンスを設定します。
+   */
+  get parent() {
+    return this.#parent
+  }
+
+  set parent(v) {
+    this.#parent = FireModel.#toParentPath(v)
+  }
+
+  /**
+   * 親ドキュメントのパスを含むコレクションのパスです。
+   */
+  get collectionPath() {
+    if (!this.#parent) return this.#collection
+    return `${this.#parent}/${this.#collection}`
+  }
+
   get firestore() {
-    return this.#firestore
+    return this.#adapter.firestore
+  }
+
+  get adapter() {
+    return this.#adapter
   }
 
   get auth() {
@@ -153,15 +402,9 @@ export default class FireModel {
    * @returns
    */
   getNgramTokenMap(value) {
-    const arr = []
-    const target = value.replace(/\s+/g, '')
-    for (let i = 0; i <= target.length - 1; i++) {
-      arr.push([target.substring(i, i + 1).toLowerCase(), true])
-    }
-    for (let i = 0; i <= target.length - 2; i++) {
-      arr.push([target.substring(i, i + 2).toLowerCase(), true])
-    }
-    return Object.fromEntries(arr)
+    const target = this.#normalizeToken(value)
+    const arr = [...target, ...this.#getBigrams(target)]
+    return Object.fromEntries(arr.map((token) => [token, true]))
   }
 
   /**
@@ -174,16 +417,28 @@ export default class FireModel {
   initialize(item) {
     this.docId = item?.docId || ''
     this.createAt = item?.createAt || null
-    this.createDate = item?.createDate || ''
     this.updateAt = item?.updateAt || null
-    this.updateDate = item?.updateDate || ''
     this.uid = item?.uid || ''
+    if (this.#softDelete) {
+      this.isDeleted = item?.isDeleted || false
+      this.deleteAt = item?.deleteAt || null
+      this.deleteUid = item?.deleteUid || ''
+    }
+    const schema = this.constructor.schema
+    if (schema) Object.assign(this, getDefaults(schema))
     if (!item) return
-    Object.keys(item).forEach((key) => {
-      if (key in this) {
-        this[key] = JSON.parse(JSON.stringify(item[key]))
-      }
-    })
+    this.#assign(item)
+  }
+
+  /**
+   * staticなschemaにもとづいて、自身のプロパティの値を検証します。
+   * schemaが定義されていない場合は常に空のオブジェクトを返します。
+   * @returns フィールドごとのエラーメッセージを保持するオブジェクトです。
+   */
+  validate() {
+    const schema = this.constructor.schema
+    if (!schema) return {}
+    return validate(schema, this)
   }
 
   /**
@@ -253,21 +508,40 @@ export default class FireModel {
   }
 
   /**
-   * UTCでのDateオブジェクトを返します。
-   * @returns A Date object as UTC.
+   * 指定されたフィールドの日時を、設定されたタイムゾーンで文字列に変換して返します。
+   * @param {string} field createAt、updateAtなど、日時を保持するフィールド名です。
+   * @param {string} format dayjsのフォーマット文字列です。
+   * @returns フォーマットされた文字列です。値がなければ空文字列です。
+   */
+  formatDate(field, format = undefined) {
+    return formatTimestamp(this[field], format)
+  }
+
+  /**
+   * 読み込み時（fetch()、create()、update()などの後）から値が変更されている場合はtrueです。
+   * フォームに未保存の変更があるかどうかの判定に使用します。
+   */
+  get isDirty() {
+    return this.changedFields().length > 0
+  }
+
+  /**
+   * 読み込み時から値が変更されているフィールド名の配列を返します。
+   * tokenMapは対象外です。
+   * @returns フィールド名の配列です。
    */
-  get dateUtc() {
-    const offset = new Date().getTimezoneOffset()
-    return new Date(new Date().getTime() + offset * 60 * 1000)
+  changedFields() {
+    const { tokenMap, ...current } = this
+    return Object.keys(getDiff(this.#snapshot, current))
   }
 
   /**
-   * JSTでのDateオブジェクトを返します。
-   * @returns A Date object as JST.
+   * 変更を破棄し、読み込み時の値に戻します。
    */
-  get dateJst() {
-    const offset = new Date().getTimezoneOffset()
-    return new Date(new Date().getTime() + (offset + 9 * 60) * 60 * 1000)
+  reset() {
+    Object.entries(clone(this.#snapshot)).forEach(([key, value]) => {
+      this[key] = value
+    })
   }
 
   /**
@@ -281,122 +555,542 @@ export default class FireModel {
         ? 'create() is called. Document id is %s.'
         : 'create() is called. No document id is specified.',
       params: docId ? [docId] : [],
+      type: 'debug',
+      operation: 'create',
     })
     try {
       await this.beforeCreate().catch((err) => {
         this.sendConsole({
           message: 'An error has occured at beforeCreate() in create().',
           type: 'error',
+          operation: 'create',
         })
         throw err
       })
-      const colRef = collection(this.#firestore, this.#collection)
-      const docRef = docId ? doc(colRef, docId) : doc(colRef)
+      this.#throwIfInvalid()
+      const colRef = this.#adapter.collection(this.collectionPath)
+      const docRef = docId
+        ? this.#adapter.doc(colRef, docId)
+        : this.#adapter.doc(colRef)
       this.docId = docRef.id
-      this.createAt = this.dateUtc.getTime()
-      this.createDate = this.dateJst.toLocaleString()
-      this.updateAt = this.dateUtc.getTime()
-      this.updateDate = this.dateJst.toLocaleString()
+      this.createAt = this.#adapter.serverTimestamp()
+      this.updateAt = this.#adapter.serverTimestamp()
       this.uid = this.#auth?.currentUser?.uid || 'unknown'
       const { ...item } = this
-      await runTransaction(this.#firestore, async (transaction) => {
-        const autonumRef = doc(
-          this.#firestore,
-          `Autonumbers/${this.#collection}`
-        )
-        const autonumDoc = await transaction.get(autonumRef)
-        if (autonumDoc.exists() && autonumDoc.data().condition) {
-          const num = autonumDoc.data().current + 1
-          const length = autonumDoc.data().length
-          const newCode = (Array(length).join('0') + num).slice(-length)
-          const maxCode = Array(length + 1).join('0')
-          if (newCode === maxCode) {
-            throw new Error(
-              `No more documents can be added to the ${
-                this.#collection
-              } collection.`
-            )
-          }
-          item[autonumDoc.data().field] = newCode
-          transaction.update(autonumRef, { current: num })
-        }
-        transaction.set(docRef, item)
-      }).catch((err) => {
-        this.sendConsole({
-          message: 'An error has occured at setDoc() in create().',
-          type: 'error',
+      await this.#adapter
+        .runTransaction(async (transaction) => {
+          const [numbers] = await assignAutonumbers(
+            transaction,
+            this.#adapter,
+            this.collectionPath
+          )
+          Object.assign(item, numbers)
+          transaction.set(docRef, item)
+          this.#writeAuditLog(transaction, {
+            docId: docRef.id,
+            operation: 'create',
+            before: {},
+            after: item,
+          })
         })
-        throw err
-      })
+        .catch((err) => {
+          this.sendConsole({
+            message: 'An error has occured at setDoc() in create().',
+            type: 'error',
+            operation: 'create',
+          })
+          throw err
+        })
+      Object.assign(this, item)
+      this.#estimateTimestamps(['createAt', 'updateAt'])
+      this.#takeSnapshot()
       await this.afterCreate().catch((err) => {
         this.sendConsole({
           message: 'An error has occured at afterCreate() in create().',
           type: 'error',
+          operation: 'create',
         })
         throw err
       })
       this.sendConsole({
         message:
           'A document was successfully created in the %s collection with document id %s.',
-        params: [this.#collection, docRef.id],
+        params: [this.collectionPath, docRef.id],
+        operation: 'create',
       })
       return docRef
     } catch (err) {
-      this.sendConsole({ message: err.message, type: 'error' })
-      throw err
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'create',
+      })
+      throw error
     }
   }
 
   /**
    * 指定されたドキュメントidに該当するドキュメントをコレクションから取得し、
    * 自身のプロパティに値をセットします。
+   * softDeleteが有効な場合、削除済みのドキュメントは存在しないものとして扱われます。
    * @param {string} docId 取得するドキュメントのidです。
+   * @param {object} options { includeDeleted, include }
+   *                         includeDeleted 削除済みのドキュメントも取得する場合はtrueです。
+   *                         include 読み込むリレーションの名前の配列です。
    * @returns
    */
-  async fetch(docId = undefined) {
-    this.sendConsole({ message: 'fetch() is called.' })
+  async fetch(
+    docId = undefined,
+    { includeDeleted = false, include = [] } = {}
+  ) {
+    this.sendConsole({
+      message: 'fetch() is called.',
+      type: 'debug',
+      operation: 'fetch',
+    })
     try {
       if (!docId) throw new Error('fetch() requires docId as argument.')
-      const colRef = collection(this.#firestore, this.#collection)
-      const docRef = doc(colRef, docId)
-      const docSnap = await getDoc(docRef).catch((err) => {
+      const colRef = this.#adapter.collection(this.collectionPath)
+      const docRef = this.#adapter.doc(colRef, docId)
+      const docSnap = await this.#adapter.getDoc(docRef).catch((err) => {
         this.sendConsole({
           message: 'An error has occured at getDoc() in fetch().',
           type: 'error',
+          operation: 'fetch',
         })
         throw err
       })
-      if (docSnap.exists()) {
+      const isDeleted =
+        this.#softDelete && !includeDeleted && docSnap.data()?.isDeleted
+      if (docSnap.exists() && !isDeleted) {
         this.sendConsole({
           message:
             'The document corresponding to the specified document id (%s) has been fetched.',
           params: [docId],
+          operation: 'fetch',
         })
-        Object.keys(this).forEach((key) => {
-          if (key in docSnap.data()) this[key] = docSnap.data()[key]
-        })
+        this.#assign({ ...docSnap.data(), docId: docSnap.id })
+        this.#takeSnapshot()
+        await loadRelations(this, [this], include)
       } else {
         this.sendConsole({
-          message:
-            'The document corresponding to the specified document id (%s) does not exist. FireModel properties are initialized.',
+          message: isDeleted
+            ? 'The document corresponding to the specified document id (%s) has been deleted. FireModel properties are initialized.'
+            : 'The document corresponding to the specified document id (%s) does not exist. FireModel properties are initialized.',
           params: [docId],
           type: 'warn',
+          operation: 'fetch',
         })
         this.initialize()
+        this.#takeSnapshot()
       }
     } catch (err) {
-      this.sendConsole({ message: err.message, type: 'error' })
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'fetch',
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 指定された条件に該当するドキュメントをコレクションから取得し、
+   * 自身と同じクラスのインスタンスの配列として返します。
+   * @param {array|object} constraints Firestoreのクエリ条件の配列、またはオブジェクト形式の条件です。
+   * @param {object} options { includeDeleted, include, group }
+   *                         includeDeleted 削除済みのドキュメントも取得する場合はtrueです。
+   *                         include 読み込むリレーションの名前の配列です。
+   *                         group trueの場合、コレクショングループから取得します。
+   * @returns インスタンスの配列をPromiseで返します。
+   */
+  async fetchDocs(
+    constraints = [],
+    { includeDeleted = false, include = [], group = false } = {}
+  ) {
+    this.sendConsole({
+      message: 'fetchDocs() is called.',
+      type: 'debug',
+      operation: 'fetchDocs',
+    })
+    try {
+      const q = this.getQuery(constraints, { includeDeleted, group })
+      const snapshot = await this.#adapter.getDocs(q).catch((err) => {
+        this.sendConsole({
+          message: 'An error has occured at getDocs() in fetchDocs().',
+          type: 'error',
+          operation: 'fetchDocs',
+        })
+        throw err
+      })
+      const result = snapshot.docs.map((docSnap) => this.fromSnapshot(docSnap))
+      await loadRelations(this, result, include)
+      this.sendConsole({
+        message: '%d documents have been fetched from the %s collection.',
+        params: [result.length, this.collectionPath],
+        operation: 'fetchDocs',
+      })
+      return result
+    } catch (err) {
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'fetchDocs',
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 指定された条件に該当する最初のドキュメントをコレクションから取得し、
+   * 自身と同じクラスのインスタンスとして返します。
+   * @param {array|object} constraints Firestoreのクエリ条件の配列、またはオブジェクト形式の条件です。
+   * @param {object} options { includeDeleted, include } fetchDocs()と同じです。
+   * @returns インスタンスをPromiseで返します。該当するドキュメントがなければnullです。
+   */
+  async fetchDoc(constraints = [], options = {}) {
+    this.sendConsole({
+      message: 'fetchDoc() is called.',
+      type: 'debug',
+      operation: 'fetchDoc',
+    })
+    const parsed = this.#parseConstraints(constraints).filter(
+      ({ type }) => type !== 'limit'
+    )
+    const result = await this.fetchDocs(
+      [...parsed, this.#adapter.limit(1)],
+      options
+    )
+    return result[0] || null
+  }
+
+  /**
+   * tokenMapを利用して、指定された文字列を含むドキュメントを検索します。
+   * 文字列をbi-gramに分割してクエリを実行したのち、tokenFieldsに指定された
+   * フィールドの値に文字列が含まれるものだけをクライアント側で抽出します。
+   * Firestoreの制約上、クエリに使用するトークンの数はmaxTokensまでに制限されます。
+   * @param {string} text 検索する文字列です。
+   * @param {object} options { constraints, limit, maxTokens, includeDeleted, include, group }
+   * @returns インスタンスの配列をPromiseで返します。
+   */
+  async fetchDocsByString(text, options = {}) {
+    this.sendConsole({
+      message: 'fetchDocsByString() is called.',
+      type: 'debug',
+      operation: 'fetchDocsByString',
+    })
+    const {
+      constraints = [],
+      limit: max = 0,
+      maxTokens = 10,
+      includeDeleted = false,
+      include = [],
+      group = false,
+    } = options
+    if (!this.#tokenFields.length) {
+      const err = new Error(
+        'fetchDocsByString() requires tokenFields to be specified.'
+      )
+      this.sendConsole({
+        message: err.message,
+        type: 'error',
+        operation: 'fetchDocsByString',
+      })
+      throw err
+    }
+    const target = this.#normalizeToken(text || '')
+    if (!target) return []
+    const bigrams = [...new Set(this.#getBigrams(target))]
+    // トークンが多すぎる場合は、重複しないbi-gramのみを使用します。
+    const tokens =
+      target.length === 1
+        ? [target]
+        : bigrams.length > maxTokens
+        ? bigrams.filter((_, index) => index % 2 === 0)
+        : bigrams
+    const wheres = tokens
+      .slice(0, maxTokens)
+      .map((token) =>
+        this.#adapter.where(
+          this.#adapter.fieldPath('tokenMap', token),
+          '==',
+          true
+        )
+      )
+    const docs = await this.fetchDocs(
+      [...this.#parseConstraints(constraints), ...wheres],
+      { includeDeleted, group }
+    )
+    const result = docs.filter((item) => {
+      return this.#tokenFields.some((fieldName) => {
+        const value = item[fieldName]
+        if (typeof value !== 'string') return false
+        return this.#normalizeToken(value).includes(target)
+      })
+    })
+    const sliced = max ? result.slice(0, max) : result
+    await loadRelations(this, sliced, include)
+    return sliced
+  }
+
+  /**
+   * softDeleteによって削除済みとなっているドキュメントのうち、指定された条件に
+   * 該当するものをインスタンスの配列として返します。
+   * @param {array|object} constraints Firestoreのクエリ条件の配列、またはオブジェクト形式の条件です。
+   * @returns インスタンスの配列をPromiseで返します。
+   */
+  async fetchTrash(constraints = []) {
+    this.sendConsole({
+      message: 'fetchTrash() is called.',
+      type: 'debug',
+      operation: 'fetchTrash',
+    })
+    if (!this.#softDelete) {
+      const err = new Error('fetchTrash() requires softDelete to be enabled.')
+      this.sendConsole({
+        message: err.message,
+        type: 'error',
+        operation: 'fetchTrash',
+      })
+      throw err
+    }
+    return await this.fetchDocs(
+      [
+        ...this.#parseConstraints(constraints),
+        this.#adapter.where('isDeleted', '==', true),
+      ],
+      { includeDeleted: true }
+    )
+  }
+
+  /**
+   * 指定された条件で、管理対象のコレクションに対するFirestoreのクエリを返します。
+   * softDeleteが有効な場合、削除済みのドキュメントを除外する条件が追加されます。
+   * @param {array|object} constraints Firestoreのクエリ条件の配列、またはオブジェクト形式の条件です。
+   * @param {object} options { includeDeleted, group }
+   *                         includeDeleted 削除済みのドキュメントも対象とする場合はtrueです。
+   *                         group trueの場合、親ドキュメントを問わず同名のコレクションすべて（コレクショングループ）が対象となります。
+   * @returns Firestoreのクエリです。
+   */
+  getQuery(constraints = [], { includeDeleted = false, group = false } = {}) {
+    const colRef = group
+      ? this.#adapter.collectionGroup(this.#collection)
+      : this.#adapter.collection(this.collectionPath)
+    return this.#adapter.query(
+      colRef,
+      ...this.#parseConstraints(constraints),
+      ...this.#getDeletedConstraints(includeDeleted)
+    )
+  }
+
+  /**
+   * 指定された条件でページングを行うPaginatorを返します。
+   * @param {array|object} constraints Firestoreのクエリ条件の配列、またはオブジェクト形式の条件です。
+   * @param {object} options { pageSize, withCount, include, includeDeleted }
+   * @returns Paginatorのインスタンスです。
+   */
+  paginate(constraints = [], options = {}) {
+    return new Paginator(this, { ...options, constraints })
+  }
+
+  /**
+   * 自身と同じクラスの新しいインスタンスを生成して返します。
+   * 継承先のコンストラクタは (firestore, auth) を引数に取ることを前提としています。
+   * 異なる場合は継承先で上書きしてください。
+   * @returns A new instance.
+   */
+  createInstance() {
+    const instance =
+      this.constructor === FireModel
+        ? new FireModel(this.#adapter, this.#collection, this.#auth)
+        : new this.constructor(this.#adapter, this.#auth)
+    instance.collection = this.#collection
+    instance.parent = this.#parent
+    return instance
+  }
+
+  /**
+   * ドキュメントのスナップショットから、自身と同じクラスのインスタンスを生成して返します。
+   * 親ドキュメントのパスはスナップショットの参照から設定されます。
+   * docIdはドキュメントのデータではなく、スナップショットのidから設定されます。
+   * @param {*} docSnap ドキュメントのスナップショットです。
+   * @returns A new instance.
+   */
+  fromSnapshot(docSnap) {
+    const instance = this.createInstance()
+    instance.parent = docSnap.ref?.parent?.parent?.path || null
+    instance.initialize({ ...docSnap.data(), docId: docSnap.id })
+    instance.#takeSnapshot()
+    return instance
+  }
+
+  /**
+   * hasManyなどに指定されたコレクション名を、親ドキュメントのパスを含むパスに変換します。
+   * '/'で始まるコレクション名はルートからのパスとして扱われます。
+   * @param {string} colName
+   * @returns コレクションのパスです。
+   */
+  resolvePath(colName) {
+    if (colName.startsWith('/')) return colName.slice(1)
+    if (!this.#parent) return colName
+    return `${this.#parent}/${colName}`
+  }
+
+  /**
+   * 指定されたドキュメントidに該当するドキュメントのリアルタイムリスナーをセットし、
+   * 自身のプロパティをドキュメントと同期させます。
+   * ドキュメントが存在しない場合、プロパティは初期化されます。
+   * softDeleteが有効な場合、fetch()と同様に削除済みのドキュメントは存在しないものとして扱われます。
+   * 既にリスナーがセットされている場合は解除されます。
+   * @param {string} docId 購読するドキュメントのidです。
+   * @param {object} options { includeDeleted } 削除済みのドキュメントも同期する場合はtrueです。
+   */
+  subscribe(docId = undefined, { includeDeleted = false } = {}) {
+    this.sendConsole({
+      message: 'subscribe() is called.',
+      type: 'debug',
+      operation: 'subscribe',
+    })
+    if (!docId) {
+      const err = new Error('subscribe() requires docId as argument.')
+      this.sendConsole({
+        message: err.message,
+        type: 'error',
+        operation: 'subscribe',
+      })
       throw err
     }
+    if (this.#listener) this.#listener()
+    const colRef = this.#adapter.collection(this.collectionPath)
+    const docRef = this.#adapter.doc(colRef, docId)
+    this.#listener = this.#adapter.onSnapshot(
+      docRef,
+      (docSnap) => {
+        const isDeleted =
+          this.#softDelete && !includeDeleted && docSnap.data()?.isDeleted
+        if (docSnap.exists() && !isDeleted) {
+          this.#assign({ ...docSnap.data(), docId: docSnap.id })
+          this.#takeSnapshot()
+        } else {
+          this.sendConsole({
+            message: isDeleted
+              ? 'The document corresponding to the specified document id (%s) has been deleted. FireModel properties are initialized.'
+              : 'The document corresponding to the specified document id (%s) does not exist. FireModel properties are initialized.',
+            params: [docId],
+            type: 'warn',
+            operation: 'subscribe',
+          })
+          this.initialize()
+          this.#takeSnapshot()
+        }
+      },
+      (err) => {
+        this.sendConsole({
+          message: 'An error has occured at onSnapshot() in subscribe().',
+          type: 'error',
+          operation: 'subscribe',
+        })
+        this.sendConsole({
+          message: err.message,
+          type: 'error',
+          operation: 'subscribe',
+        })
+      }
+    )
+  }
+
+  /**
+   * 指定された条件に該当するドキュメントのリアルタイムリスナーをセットし、
+   * インスタンスの配列を返します。
+   * 返された配列はドキュメントの変更に応じて更新されます。
+   * 既にリスナーがセットされている場合は解除されます。
+   * @param {array|object} constraints Firestoreのクエリ条件の配列、またはオブジェクト形式の条件です。
+   * @param {object} options { includeDeleted, group }
+   *                         includeDeleted 削除済みのドキュメントも購読する場合はtrueです。
+   *                         group trueの場合、コレクショングループを購読します。
+   * @returns ドキュメントと同期されるインスタンスの配列です。
+   */
+  subscribeDocs(
+    constraints = [],
+    { includeDeleted = false, group = false } = {}
+  ) {
+    this.sendConsole({
+      message: 'subscribeDocs() is called.',
+      type: 'debug',
+      operation: 'subscribeDocs',
+    })
+    if (this.#docsListener) this.#docsListener()
+    const result = []
+    const q = this.getQuery(constraints, { includeDeleted, group })
+    this.#docsListener = this.#adapter.onSnapshot(
+      q,
+      (snapshot) => {
+        snapshot.docChanges().forEach((change) => {
+          if (change.type === 'added') {
+            const instance = this.fromSnapshot(change.doc)
+            result.splice(change.newIndex, 0, instance)
+          }
+          if (change.type === 'modified') {
+            const [instance] = result.splice(change.oldIndex, 1)
+            instance.initialize(change.doc.data())
+            instance.#takeSnapshot()
+            result.splice(change.newIndex, 0, instance)
+          }
+          if (change.type === 'removed') {
+            result.splice(change.oldIndex, 1)
+          }
+        })
+      },
+      (err) => {
+        this.sendConsole({
+          message: 'An error has occured at onSnapshot() in subscribeDocs().',
+          type: 'error',
+          operation: 'subscribeDocs',
+        })
+        this.sendConsole({
+          message: err.message,
+          type: 'error',
+          operation: 'subscribeDocs',
+        })
+      }
+    )
+    return result
+  }
+
+  /**
+   * subscribe()およびsubscribeDocs()でセットされたリアルタイムリスナーを解除します。
+   */
+  unsubscribe() {
+    if (!this.#listener && !this.#docsListener) return
+    this.sendConsole({
+      message: 'unsubscribe() is called.',
+      type: 'debug',
+      operation: 'unsubscribe',
+    })
+    if (this.#listener) this.#listener()
+    if (this.#docsListener) this.#docsListener()
+    this.#listener = null
+    this.#docsListener = null
   }
 
   /**
    * モデルのプロパティにセットされた値で、ドキュメントを更新します。
    * 更新対象のドキュメントはdocIdプロパティを参照して特定されます。
+   * ドキュメントのupdateAtが読み込み時の値と異なる場合、他のユーザーによって
+   * 更新されたものとしてConflictErrorがthrowされます。
+   * updateAtを保持していない場合（initialize()で値をセットした場合など）は確認しません。
+   * @param {object} options { force } forceがtrueの場合、競合を無視して上書きします。
    * @returns
    */
-  async update() {
-    this.sendConsole({ message: 'update() is called.' })
+  async update({ force = false } = {}) {
+    this.sendConsole({
+      message: 'update() is called.',
+      type: 'debug',
+      operation: 'update',
+    })
     try {
       if (!this.docId) {
         throw new Error(
@@ -407,95 +1101,940 @@ export default class FireModel {
         this.sendConsole({
           message: 'An error has occured at beforeUpdate() in update().',
           type: 'error',
+          operation: 'update',
         })
         throw err
       })
-      const colRef = collection(this.#firestore, this.#collection)
-      const docRef = doc(colRef, this.docId)
-      this.updateAt = this.dateUtc.getTime()
-      this.updateDate = this.dateJst.toLocaleString()
-      this.uid = this.#auth?.currentUser?.uid || 'unknown'
-      const { createAt, createDate, ...item } = this
-      await updateDoc(docRef, item).catch((err) => {
+      this.#throwIfInvalid()
+      const colRef = this.#adapter.collection(this.collectionPath)
+      const docRef = this.#adapter.doc(colRef, this.docId)
+      const isLoaded = this.#snapshot.docId === this.docId
+      if (isLoaded && !this.isDirty) {
         this.sendConsole({
-          message: 'An error has occured at update().',
-          type: 'error',
+          message: 'No fields have been changed. update() is skipped.',
+          operation: 'update',
         })
-        throw err
-      })
+        return docRef
+      }
+      const loadedAt = this.updateAt
+      const stamps = {
+        updateAt: this.#adapter.serverTimestamp(),
+        uid: this.#auth?.currentUser?.uid || 'unknown',
+      }
+      const item = { ...this.#getUpdateData(isLoaded), ...stamps }
+      await this.#adapter
+        .runTransaction(async (transaction) => {
+          const docSnap = await transaction.get(docRef)
+          if (!docSnap.exists()) {
+            throw new NotFoundError({
+              collection: this.collectionPath,
+              docId: this.docId,
+            })
+          }
+          const data = docSnap.data()
+          if (!force && this.#isConflicted(data, loadedAt)) {
+            throw new ConflictError({
+              collection: this.collectionPath,
+              docId: this.docId,
+              data,
+            })
+          }
+          transaction.update(docRef, item)
+          this.#writeAuditLog(transaction, {
+            docId: this.docId,
+            operation: 'update',
+            before: data,
+            after: { ...data, ...item },
+          })
+        })
+        .catch((err) => {
+          this.sendConsole({
+            message: 'An error has occured at update().',
+            type: 'error',
+            operation: 'update',
+          })
+          throw err
+        })
+      Object.assign(this, stamps)
+      this.#estimateTimestamps(['updateAt'])
+      this.#takeSnapshot()
       await this.afterUpdate().catch((err) => {
         this.sendConsole({
           message: 'An error has occured at afterUpdate() in update().',
           type: 'error',
+          operation: 'update',
         })
         throw err
       })
       this.sendConsole({
         message:
           'A document was successfully updated in the %s collection with document id %s.',
-        params: [this.#collection, docRef.id],
+        params: [this.collectionPath, docRef.id],
+        operation: 'update',
       })
       return docRef
     } catch (err) {
-      this.sendConsole({ message: err.message, type: 'error' })
-      throw err
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'update',
+      })
+      throw error
     }
   }
 
   /**
-   * モデルのプロパティにセットされた値で、ドキュメントを更新します。
-   * 更新対象のドキュメントはdocIdプロパティを参照して特定されます。
+   * docIdプロパティを参照してドキュメントを削除します。
+   * softDeleteが有効な場合、ドキュメントは削除済みとしてマークされます。
+   * hasManyプロパティに定義された子ドキュメントが存在する場合は削除できません。
    * @returns
    */
   async delete() {
-    this.sendConsole({ message: 'delete() is called.' })
-    try {
+    this.sendConsole({
+      message: 'delete() is called.',
+      type: 'debug',
+      operation: 'delete',
+    })
+    return await this.#delete({ soft: this.#softDelete, method: 'delete' })
+  }
+
+  /**
+   * softDeleteの有効無効にかかわらず、docIdプロパティを参照して
+   * ドキュメントを完全に削除します。
+   * hasManyプロパティに定義された子ドキュメントが存在する場合は削除できません。
+   * @returns
+   */
+  async purge() {
+    this.sendConsole({
+      message: 'purge() is called.',
+      type: 'debug',
+      operation: 'purge',
+    })
+    return await this.#delete({ soft: false, method: 'purge' })
+  }
+
+  /**
+   * softDeleteによって削除済みとなっているドキュメントを復元します。
+   * 対象のドキュメントはdocIdプロパティを参照して特定されます。
+   * @returns
+   */
+  async restore() {
+    this.sendConsole({
+      message: 'restore() is called.',
+      type: 'debug',
+      operation: 'restore',
+    })
+    try {
+      if (!this.#softDelete) {
+        throw new Error('restore() requires softDelete to be enabled.')
+      }
       if (!this.docId) {
         throw new Error(
-          'delete() should have docId as a property. Call fetch() first.'
+          'restore() should have docId as a property. Call fetch() first.'
         )
       }
-      const hasChild = await this.#hasChild()
+      const colRef = this.#adapter.collection(this.collectionPath)
+      const docRef = this.#adapter.doc(colRef, this.docId)
+      const item = {
+        isDeleted: false,
+        deleteAt: null,
+        deleteUid: '',
+        updateAt: this.#adapter.serverTimestamp(),
+        uid: this.#auth?.currentUser?.uid || 'unknown',
+      }
+      await this.#adapter
+        .runTransaction(async (transaction) => {
+          const docSnap = await transaction.get(docRef)
+          if (!docSnap.exists()) {
+            throw new NotFoundError({
+              collection: this.collectionPath,
+              docId: this.docId,
+            })
+          }
+          transaction.update(docRef, item)
+          this.#writeAuditLog(transaction, {
+            docId: this.docId,
+            operation: 'restore',
+            before: docSnap.data(),
+            after: { ...docSnap.data(), ...item },
+          })
+        })
+        .catch((err) => {
+          this.sendConsole({
+            message: 'An error has occured at restore().',
+            type: 'error',
+            operation: 'restore',
+          })
+          throw err
+        })
+      Object.assign(this, item)
+      this.#estimateTimestamps(['updateAt'])
+      this.#takeSnapshot()
+      this.sendConsole({
+        message:
+          'A document was successfully restored in the %s collection with document id %s.',
+        params: [this.collectionPath, docRef.id],
+        operation: 'restore',
+      })
+      return docRef
+    } catch (err) {
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'restore',
+      })
+      throw error
+    }
+  }
+
+  /**
+   * docIdプロパティを参照して、ドキュメントの変更履歴を新しい順に取得します。
+   * auditLogが設定されている必要があります。
+   * @returns 変更履歴の配列をPromiseで返します。
+   */
+  async fetchHistory() {
+    this.sendConsole({
+      message: 'fetchHistory() is called.',
+      type: 'debug',
+      operation: 'fetchHistory',
+    })
+    try {
+      if (!this.#auditLog) {
+        throw new Error('fetchHistory() requires auditLog to be set.')
+      }
+      if (!this.docId) {
+        throw new Error(
+          'fetchHistory() should have docId as a property. Call fetch() first.'
+        )
+      }
+      return await fetchAuditLogs(this.#adapter, {
+        mode: this.#auditLog,
+        collection: this.collectionPath,
+        docId: this.docId,
+      })
+    } catch (err) {
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'fetchHistory',
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 指定された変更履歴の時点の内容でドキュメントを上書きします。
+   * 削除の変更履歴を指定した場合は、削除される前の内容で復元されます。
+   * 対象のドキュメントはdocIdプロパティを参照して特定されます。
+   * @param {string} logId 変更履歴のidです。
+   * @returns
+   */
+  async revert(logId = undefined) {
+    this.sendConsole({
+      message: 'revert() is called.',
+      type: 'debug',
+      operation: 'revert',
+    })
+    try {
+      if (!this.#auditLog) {
+        throw new Error('revert() requires auditLog to be set.')
+      }
+      if (!this.docId || !logId) {
+        throw new Error(
+          'revert() should have docId as a property and requires logId as argument.'
+        )
+      }
+      const entry = await fetchAuditLog(this.#adapter, {
+        mode: this.#auditLog,
+        collection: this.collectionPath,
+        docId: this.docId,
+        logId,
+      })
+      if (!entry || entry.docId !== this.docId) {
+        throw new NotFoundError({
+          collection: AUDIT_LOG_COLLECTION,
+          docId: logId,
+        })
+      }
+      const colRef = this.#adapter.collection(this.collectionPath)
+      const docRef = this.#adapter.doc(colRef, this.docId)
+      // tokenMapを再生成するため、一旦インスタンスに変換します。
+      const version = this.createInstance()
+      version.initialize(entry.data)
+      const item = {
+        ...version,
+        updateAt: this.#adapter.serverTimestamp(),
+        uid: this.#auth?.currentUser?.uid || 'unknown',
+      }
+      await this.#adapter
+        .runTransaction(async (transaction) => {
+          const docSnap = await transaction.get(docRef)
+          transaction.set(docRef, item)
+          this.#writeAuditLog(transaction, {
+            docId: this.docId,
+            operation: 'revert',
+            before: docSnap.exists() ? docSnap.data() : {},
+            after: item,
+          })
+        })
+        .catch((err) => {
+          this.sendConsole({
+            message: 'An error has occured at revert().',
+            type: 'error',
+            operation: 'revert',
+          })
+          throw err
+        })
+      this.initialize(item)
+      this.#estimateTimestamps(['updateAt'])
+      this.#takeSnapshot()
+      this.sendConsole({
+        message:
+          'A document was successfully reverted in the %s collection with document id %s.',
+        params: [this.collectionPath, docRef.id],
+        operation: 'revert',
+      })
+      return docRef
+    } catch (err) {
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'revert',
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 複数のデータをドキュメントとして一括で追加します。
+   * データごとにbeforeCreate()、検証、afterCreate()が実行されます。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {array} items 追加するデータ（オブジェクトまたはインスタンス）の配列です。
+   *                      docIdを持つデータはそのidで追加されます。
+   * @param {object} options { parent, onProgress }
+   *                         parent サブコレクションの場合、親ドキュメントのパスまたは親モデルのインスタンスです。
+   *                         onProgress チャンクの書き込みごとに{ done, total }を引数に呼び出されます。
+   * @returns { instance, docId, success, error }の配列をPromiseで返します。
+   */
+  static async createMany(
+    firestore,
+    auth,
+    items = [],
+    { parent = null, onProgress } = {}
+  ) {
+    const model = new this(firestore, auth)
+    model.parent = parent
+    model.sendConsole({
+      message: 'createMany() is called. %d items are specified.',
+      params: [items.length],
+      type: 'debug',
+      operation: 'createMany',
+    })
+    const results = FireModel.#toResults(model, items)
+    await FireModel.#runEach(results, async ({ instance }) => {
+      await instance.beforeCreate()
+      instance.#throwIfInvalid()
+    })
+    const targets = results.filter(({ error }) => !error)
+    const autonumbers = await model.#adapter
+      .runTransaction((transaction) =>
+        assignAutonumbers(
+          transaction,
+          model.#adapter,
+          model.collectionPath,
+          targets.length
+        )
+      )
+      .catch((err) => {
+        targets.forEach((result) => (result.error = model.#toError(err)))
+        return []
+      })
+    const uid = auth?.currentUser?.uid || 'unknown'
+    await FireModel.#commitInChunks(
+      model,
+      results.filter(({ error }) => !error),
+      (batch, result, index) => {
+        const { instance } = result
+        const docRef = instance.#getDocRef(instance.docId)
+        Object.assign(instance, autonumbers[index])
+        Object.assign(instance, {
+          docId: docRef.id,
+          createAt: model.#adapter.serverTimestamp(),
+          updateAt: model.#adapter.serverTimestamp(),
+          uid,
+        })
+        const { ...item } = instance
+        result.docId = docRef.id
+        batch.set(docRef, item)
+        model.#writeAuditLog(batch, {
+          docId: docRef.id,
+          operation: 'create',
+          before: {},
+          after: item,
+        })
+      },
+      onProgress
+    )
+    await FireModel.#runEach(
+      results.filter(({ success }) => success),
+      async ({ instance }) => {
+        instance.#estimateTimestamps(['createAt', 'updateAt'])
+        instance.#takeSnapshot()
+        await instance.afterCreate()
+      }
+    )
+    return FireModel.#summarize(model, results, 'created')
+  }
+
+  /**
+   * 複数のインスタンス（またはdocIdを持つデータ）の値で、ドキュメントを一括で更新します。
+   * データごとにbeforeUpdate()、検証、afterUpdate()が実行されます。
+   * update()と同様、読み込み時から更新されているドキュメントはConflictErrorとなります。
+   * ただし、競合の確認はバッチの外で行われることに注意してください。
+   * また、読み込み済みのインスタンスは変更されたフィールドのみを書き込み、
+   * 変更がなければ書き込みません（成功として扱われ、afterUpdate()は実行されません）。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {array} items 更新するデータ（オブジェクトまたはインスタンス）の配列です。
+   * @param {object} options { parent, force, onProgress }
+   * @returns { instance, docId, success, error }の配列をPromiseで返します。
+   */
+  static async updateMany(
+    firestore,
+    auth,
+    items = [],
+    { parent = null, force = false, onProgress } = {}
+  ) {
+    const model = new this(firestore, auth)
+    model.parent = parent
+    model.sendConsole({
+      message: 'updateMany() is called. %d items are specified.',
+      params: [items.length],
+      type: 'debug',
+      operation: 'updateMany',
+    })
+    const results = FireModel.#toResults(model, items)
+    await FireModel.#runEach(results, async (result) => {
+      const { instance } = result
+      if (!instance.docId) {
+        throw new Error('updateMany() requires docId for each item.')
+      }
+      await instance.beforeUpdate()
+      instance.#throwIfInvalid()
+      result.isLoaded = instance.#snapshot.docId === instance.docId
+      if (result.isLoaded && !instance.isDirty) {
+        result.success = true
+        result.skipped = true
+        return
+      }
+      result.data = await instance.#getCurrentData()
+      if (!force && instance.#isConflicted(result.data)) {
+        throw new ConflictError({
+          collection: model.collection,
+          docId: instance.docId,
+          data: result.data,
+        })
+      }
+    })
+    const uid = auth?.currentUser?.uid || 'unknown'
+    await FireModel.#commitInChunks(
+      model,
+      results.filter(({ error, skipped }) => !error && !skipped),
+      (batch, result) => {
+        const { instance, data, isLoaded } = result
+        const docRef = instance.#getDocRef(instance.docId)
+        const stamps = { updateAt: model.#adapter.serverTimestamp(), uid }
+        const item = { ...instance.#getUpdateData(isLoaded), ...stamps }
+        result.stamps = stamps
+        batch.update(docRef, item)
+        model.#writeAuditLog(batch, {
+          docId: instance.docId,
+          operation: 'update',
+          before: data,
+          after: { ...data, ...item },
+        })
+      },
+      onProgress
+    )
+    await FireModel.#runEach(
+      results.filter(({ success, skipped }) => success && !skipped),
+      async ({ instance, stamps }) => {
+        Object.assign(instance, stamps)
+        instance.#estimateTimestamps(['updateAt'])
+        instance.#takeSnapshot()
+        await instance.afterUpdate()
+      }
+    )
+    return FireModel.#summarize(model, results, 'updated')
+  }
+
+  /**
+   * 複数のドキュメントを一括で削除します。
+   * softDeleteが有効な場合、ドキュメントは削除済みとしてマークされます。
+   * データごとにhasManyによる依存関係の確認、beforeDelete()、afterDelete()が実行されます。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {array} items 削除するデータ（docId、オブジェクトまたはインスタンス）の配列です。
+   * @param {object} options { parent, onProgress }
+   * @returns { instance, docId, success, error }の配列をPromiseで返します。
+   */
+  static async deleteMany(
+    firestore,
+    auth,
+    items = [],
+    { parent = null, onProgress } = {}
+  ) {
+    const model = new this(firestore, auth)
+    model.parent = parent
+    model.sendConsole({
+      message: 'deleteMany() is called. %d items are specified.',
+      params: [items.length],
+      type: 'debug',
+      operation: 'deleteMany',
+    })
+    const results = FireModel.#toResults(
+      model,
+      items.map((item) => (typeof item === 'string' ? { docId: item } : item))
+    )
+    await FireModel.#runEach(results, async (result) => {
+      const { instance } = result
+      if (!instance.docId) {
+        throw new Error('deleteMany() requires docId for each item.')
+      }
+      const hasChild = await instance.#hasChild()
       if (hasChild) {
+        throw new DependentDocumentsExistError({
+          collection: model.collection,
+          docId: instance.docId,
+          relation: hasChild,
+        })
+      }
+      await instance.beforeDelete()
+      result.data = await instance.#getCurrentData()
+    })
+    const soft = model.softDelete
+    const uid = auth?.currentUser?.uid || 'unknown'
+    await FireModel.#commitInChunks(
+      model,
+      results.filter(({ error }) => !error),
+      (batch, result) => {
+        const { instance, data } = result
+        const docRef = instance.#getDocRef(instance.docId)
+        const item = {
+          isDeleted: true,
+          deleteAt: model.#adapter.serverTimestamp(),
+          deleteUid: uid,
+          updateAt: model.#adapter.serverTimestamp(),
+          uid,
+        }
+        if (soft) batch.update(docRef, item)
+        if (!soft) batch.delete(docRef)
+        result.stamps = soft ? item : {}
+        model.#writeAuditLog(batch, {
+          docId: instance.docId,
+          operation: 'delete',
+          before: data,
+          after: soft ? { ...data, ...item } : {},
+        })
+      },
+      onProgress
+    )
+    await FireModel.#runEach(
+      results.filter(({ success }) => success),
+      async ({ instance, stamps }) => {
+        Object.assign(instance, stamps)
+        if (soft) {
+          instance.#estimateTimestamps(['deleteAt', 'updateAt'])
+          instance.#takeSnapshot()
+        }
+        await instance.afterDelete()
+      }
+    )
+    return FireModel.#summarize(model, results, 'deleted')
+  }
+
+  /**
+   * softDeleteを有効にする前に作成された、isDeletedフィールドを持たないドキュメントに
+   * isDeleted: false、deleteAt: null、deleteUid: ''を一括で書き込みます。
+   * これらのドキュメントはクエリで取得できないため、softDeleteを有効にした後に一度実行してください。
+   * Firestoreではフィールドを持たないドキュメントを検索できないため、すべてのドキュメントを読み込みます。
+   * 差分同期（store/masters.js）で検知されるよう、updateAtも更新します。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {object} options { parent, onProgress }
+   * @returns { instance, docId, success, error }の配列をPromiseで返します。
+   */
+  static async backfillSoftDelete(
+    firestore,
+    auth,
+    { parent = null, onProgress } = {}
+  ) {
+    const model = new this(firestore, auth)
+    model.parent = parent
+    model.sendConsole({
+      message: 'backfillSoftDelete() is called.',
+      type: 'debug',
+      operation: 'backfillSoftDelete',
+    })
+    try {
+      if (!model.softDelete) {
         throw new Error(
-          '関連する情報が登録されているため削除できません。\nCollection: ' +
-            hasChild.collection +
-            '\ndocId: ' +
-            this.docId
+          'backfillSoftDelete() requires softDelete to be enabled.'
         )
       }
-      await this.beforeDelete().catch((err) => {
-        this.sendConsole({
-          message: 'An error has occured at beforeDelete() in delete().',
-          type: 'error',
+      const snapshot = await model.#adapter.getDocs(
+        model.getQuery([], { includeDeleted: true })
+      )
+      const results = snapshot.docs
+        .filter((docSnap) => docSnap.data().isDeleted === undefined)
+        .map((docSnap) => ({
+          instance: model.fromSnapshot(docSnap),
+          docId: docSnap.id,
+          ref: docSnap.ref,
+          success: false,
+          error: null,
+        }))
+      const item = {
+        isDeleted: false,
+        deleteAt: null,
+        deleteUid: '',
+        updateAt: model.#adapter.serverTimestamp(),
+      }
+      await FireModel.#commitInChunks(
+        model,
+        results,
+        (batch, { ref }) => batch.update(ref, item),
+        onProgress
+      )
+      results
+        .filter(({ success }) => success)
+        .forEach(({ instance }) => {
+          Object.assign(instance, item)
+          instance.#estimateTimestamps(['updateAt'])
+          instance.#takeSnapshot()
         })
-        throw err
+      return FireModel.#summarize(model, results, 'backfilled')
+    } catch (err) {
+      const error = model.#toError(err)
+      model.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'backfillSoftDelete',
       })
-      const colRef = collection(this.#firestore, this.#collection)
-      const docRef = doc(colRef, this.docId)
-      await deleteDoc(docRef).catch((err) => {
+      throw error
+    }
+  }
+
+  /**
+   * すべてのドキュメントのtokenMapを、現在の正規化（models/normalize.js）で再生成して一括で書き込みます。
+   * 正規化が変更される前に保存されたドキュメントは検索にヒットしないため、
+   * 正規化やtokenFields、tokenOptionsを変更した後に一度実行してください。
+   * 値は変更されないため、updateAtは更新しません。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {object} options { parent, onProgress }
+   * @returns { instance, docId, success, error }の配列をPromiseで返します。
+   */
+  static async rebuildTokenMap(
+    firestore,
+    auth,
+    { parent = null, onProgress } = {}
+  ) {
+    const model = new this(firestore, auth)
+    model.parent = parent
+    model.sendConsole({
+      message: 'rebuildTokenMap() is called.',
+      type: 'debug',
+      operation: 'rebuildTokenMap',
+    })
+    try {
+      if (!model.tokenFields.length) {
+        throw new Error(
+          'rebuildTokenMap() requires tokenFields to be specified.'
+        )
+      }
+      const snapshot = await model.#adapter.getDocs(
+        model.getQuery([], { includeDeleted: true })
+      )
+      const results = snapshot.docs.map((docSnap) => ({
+        instance: model.fromSnapshot(docSnap),
+        docId: docSnap.id,
+        ref: docSnap.ref,
+        success: false,
+        error: null,
+      }))
+      await FireModel.#commitInChunks(
+        model,
+        results,
+        (batch, { instance, ref }) =>
+          batch.update(ref, { tokenMap: instance.tokenMap }),
+        onProgress
+      )
+      return FireModel.#summarize(model, results, 'rebuilt')
+    } catch (err) {
+      const error = model.#toError(err)
+      model.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'rebuildTokenMap',
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 指定された条件に該当するドキュメントを集計して返します。
+   * Firestoreの集計クエリを使用し、ドキュメントは読み込みません。
+   * local環境でEmulatorが集計クエリに対応していない場合は、
+   * ドキュメントを読み込んでクライアント側で集計します。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {object} spec 集計の指定です。 ex.) { total: ['sum', 'amount'] }
+   *                      (See models/aggregate.js)
+   * @param {array|object} constraints Firestoreのクエリ条件の配列、またはオブジェクト形式の条件です。
+   * @param {object} options { parent, includeDeleted, group }
+   * @returns specと同じキーを持つ集計結果のオブジェクトをPromiseで返します。
+   */
+  static async aggregate(
+    firestore,
+    auth,
+    spec,
+    constraints = [],
+    { parent = null, includeDeleted = false, group = false } = {}
+  ) {
+    const model = new this(firestore, auth)
+    model.parent = parent
+    model.sendConsole({
+      message: 'aggregate() is called.',
+      type: 'debug',
+      operation: 'aggregate',
+    })
+    try {
+      const aggregateSpec = parseAggregateSpec(spec)
+      const q = model.getQuery(constraints, { includeDeleted, group })
+      const result = await model.#adapter
+        .getAggregateFromServer(q, aggregateSpec)
+        .then((snapshot) => snapshot.data())
+        .catch(async (err) => {
+          if (process.env.NODE_ENV !== 'local') throw err
+          if (err?.code === 'permission-denied') throw err
+          model.sendConsole({
+            message:
+              'Aggregate queries failed on the emulator. The documents are aggregated on the client side.',
+            type: 'warn',
+            operation: 'aggregate',
+          })
+          const snapshot = await model.#adapter.getDocs(q)
+          const items = snapshot.docs.map((docSnap) => docSnap.data())
+          return computeAggregate(items, aggregateSpec)
+        })
+      model.sendConsole({
+        message: 'Documents in the %s collection have been aggregated. %o',
+        params: [model.collectionPath, result],
+        operation: 'aggregate',
+      })
+      return result
+    } catch (err) {
+      const error = model.#toError(err)
+      model.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'aggregate',
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 指定された条件に該当するドキュメントの件数を返します。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {array|object} constraints aggregate()と同じです。
+   * @param {object} options { parent, includeDeleted, group } aggregate()と同じです。
+   * @returns 件数をPromiseで返します。
+   */
+  static async count(firestore, auth, constraints = [], options = {}) {
+    const { count } = await this.aggregate(
+      firestore,
+      auth,
+      { count: 'count' },
+      constraints,
+      options
+    )
+    return count
+  }
+
+  /**
+   * 指定された条件に該当するドキュメントについて、フィールドの合計を返します。
+   * 数値でない値は無視されます。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {string} field 合計するフィールドです。ドット区切りのパスも指定できます。
+   * @param {array|object} constraints aggregate()と同じです。
+   * @param {object} options { parent, includeDeleted, group } aggregate()と同じです。
+   * @returns 合計をPromiseで返します。
+   */
+  static async sum(firestore, auth, field, constraints = [], options = {}) {
+    const { sum } = await this.aggregate(
+      firestore,
+      auth,
+      { sum: ['sum', field] },
+      constraints,
+      options
+    )
+    return sum
+  }
+
+  /**
+   * 指定された条件に該当するドキュメントについて、フィールドの平均を返します。
+   * 数値でない値は無視されます。
+   * @param {*} firestore firestoreインスタンス、またはアダプターです。
+   * @param {*} auth authインスタンス
+   * @param {string} field 平均するフィールドです。ドット区切りのパスも指定できます。
+   * @param {array|object} constraints aggregate()と同じです。
+   * @param {object} options { parent, includeDeleted, group } aggregate()と同じです。
+   * @returns 平均をPromiseで返します。数値がなければnullです。
+   */
+  static async average(firestore, auth, field, constraints = [], options = {}) {
+    const { average } = await this.aggregate(
+      firestore,
+      auth,
+      { average: ['average', field] },
+      constraints,
+      options
+    )
+    return average
+  }
+
+  /**
+   * hasManyプロパティに定義されたリレーションごとに、このドキュメントに依存する
+   * ドキュメントとその件数を返します。
+   * 削除できない理由をUIに表示する場合などに使用します。
+   * @param {object} options { limit } リレーションごとに取得するドキュメントの最大数です。
+   * @returns { collection, field, condition, type, name, count, docs }の配列をPromiseで返します。
+   */
+  async dependents(options = {}) {
+    this.sendConsole({
+      message: 'dependents() is called.',
+      type: 'debug',
+      operation: 'dependents',
+    })
+    try {
+      if (!this.docId) {
+        throw new Error(
+          'dependents() should have docId as a property. Call fetch() first.'
+        )
+      }
+      return await fetchDependents(this, options)
+    } catch (err) {
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: 'dependents',
+      })
+      throw error
+    }
+  }
+
+  /**
+   * delete()およびpurge()の処理本体です。
+   * @param {object} options { soft, method }
+   * @returns
+   */
+  async #delete({ soft, method }) {
+    try {
+      if (!this.docId) {
+        throw new Error(
+          `${method}() should have docId as a property. Call fetch() first.`
+        )
+      }
+      const hasChild = await this.#hasChild()
+      if (hasChild) {
+        throw new DependentDocumentsExistError({
+          collection: this.collectionPath,
+          docId: this.docId,
+          relation: hasChild,
+        })
+      }
+      await this.beforeDelete().catch((err) => {
         this.sendConsole({
-          message: 'An error has occured at delete().',
+          message: `An error has occured at beforeDelete() in ${method}().`,
           type: 'error',
+          operation: method,
         })
         throw err
       })
+      const colRef = this.#adapter.collection(this.collectionPath)
+      const docRef = this.#adapter.doc(colRef, this.docId)
+      const uid = this.#auth?.currentUser?.uid || 'unknown'
+      const item = {
+        isDeleted: true,
+        deleteAt: this.#adapter.serverTimestamp(),
+        deleteUid: uid,
+        updateAt: this.#adapter.serverTimestamp(),
+        uid,
+      }
+      await this.#adapter
+        .runTransaction(async (transaction) => {
+          const docSnap = await transaction.get(docRef)
+          if (!docSnap.exists()) {
+            throw new NotFoundError({
+              collection: this.collectionPath,
+              docId: this.docId,
+            })
+          }
+          if (soft) transaction.update(docRef, item)
+          if (!soft) transaction.delete(docRef)
+          this.#writeAuditLog(transaction, {
+            docId: this.docId,
+            operation: method,
+            before: docSnap.data(),
+            after: soft ? { ...docSnap.data(), ...item } : {},
+          })
+        })
+        .catch((err) => {
+          this.sendConsole({
+            message: `An error has occured at ${method}().`,
+            type: 'error',
+            operation: method,
+          })
+          throw err
+        })
+      if (soft) {
+        Object.assign(this, item)
+        this.#estimateTimestamps(['deleteAt', 'updateAt'])
+        this.#takeSnapshot()
+      }
       await this.afterDelete().catch((err) => {
         this.sendConsole({
-          message: 'An error has occured at afterDelete() in delete().',
+          message: `An error has occured at afterDelete() in ${method}().`,
           type: 'error',
+          operation: method,
         })
         throw err
       })
       this.sendConsole({
-        message:
-          'A document was successfully deleted in the %s collection with document id %s.',
-        params: [this.#collection, docRef.id],
+        message: soft
+          ? 'A document was successfully marked as deleted in the %s collection with document id %s.'
+          : 'A document was successfully deleted in the %s collection with document id %s.',
+        params: [this.collectionPath, docRef.id],
+        operation: method,
       })
       return docRef
     } catch (err) {
-      this.sendConsole({ message: err.message, type: 'error' })
-      throw err
+      const error = this.#toError(err)
+      this.sendConsole({
+        message: error.message,
+        type: 'error',
+        operation: method,
+      })
+      throw error
     }
   }
 
@@ -508,22 +2047,368 @@ export default class FireModel {
     for (const item of this.#hasMany) {
       const colRef =
         item.type === 'collection'
-          ? collection(this.#firestore, item.collection)
-          : collectionGroup(this.#firestore, item.collection)
-      const whrObj = where(item.field, item.condition, this.docId)
-      const q = query(colRef, whrObj, limit(1))
-      const snapshot = await getDocs(q)
+          ? this.#adapter.collection(this.resolvePath(item.collection))
+          : this.#adapter.collectionGroup(item.collection)
+      const whrObj = this.#adapter.where(item.field, item.condition, this.docId)
+      const q = this.#adapter.query(colRef, whrObj, this.#adapter.limit(1))
+      const snapshot = await this.#adapter.getDocs(q)
       if (!snapshot.empty) return item
     }
     return false
   }
 
   /**
-   * コンソールを出力します。
-   * @param {message, params, type}
+   * 管理対象のコレクションのドキュメントへの参照を返します。
+   * @param {string} docId 指定しない場合、新しいidが割り振られます。
+   * @returns ドキュメントへの参照です。
+   */
+  #getDocRef(docId) {
+    const colRef = this.#adapter.collection(this.collectionPath)
+    return docId ? this.#adapter.doc(colRef, docId) : this.#adapter.doc(colRef)
+  }
+
+  /**
+   * 親ドキュメントのパス、または親モデルのインスタンスをパスに変換します。
+   * @param {string|FireModel} parent
+   * @returns 親ドキュメントのパスです。指定されていない場合はnullです。
+   */
+  static #toParentPath(parent) {
+    if (!parent) return null
+    if (parent instanceof FireModel) {
+      if (!parent.docId) {
+        throw new TypeError(
+          '[FireModel.js] The parent model must have docId. Call fetch() first.'
+        )
+      }
+      return `${parent.collectionPath}/${parent.docId}`
+    }
+    const path = String(parent).replace(/^\/+|\/+$/g, '')
+    if (path.split('/').length % 2 !== 0) {
+      throw new TypeError(
+        `[FireModel.js] The parent must be a path to a document. (${path})`
+      )
+    }
+    return path
+  }
+
+  /**
+   * 受け取ったオブジェクトの値のうち、自身が持つプロパティの値をセットします。
+   * schemaに定義されたフィールドは型が変換されます。
+   * @param {object} item
+   */
+  #assign(item) {
+    const schema = this.constructor.schema || {}
+    Object.keys(item).forEach((key) => {
+      if (!(key in this)) return
+      this[key] =
+        key in schema ? coerce(schema[key], item[key]) : clone(item[key])
+    })
+  }
+
+  /**
+   * 自身のプロパティの値を検証し、不正な値があればValidationErrorをthrowします。
+   */
+  #throwIfInvalid() {
+    const errors = this.validate()
+    if (!Object.keys(errors).length) return
+    this.sendConsole({
+      message: 'Validation failed. %o',
+      params: [errors],
+      type: 'error',
+    })
+    throw new ValidationError(errors)
+  }
+
+  /**
+   * Firestoreのエラーを、コレクションとdocIdを付与したFireModelのエラーに変換します。
+   * 変換の対象外のエラーはそのまま返します。(See models/errors.js)
+   * @param {*} err
+   * @returns エラーです。
+   */
+  #toError(err) {
+    return toFireModelError(err, {
+      collection: this.collectionPath,
+      docId: this.docId,
+    })
+  }
+
+  /**
+   * 現在の値を、変更の有無を判定するための基準として保持します。
+   */
+  #takeSnapshot() {
+    const { tokenMap, ...data } = this
+    this.#snapshot = clone(data)
+  }
+
+  /**
+   * update()で書き込むデータを返します。
+   * 読み込まれたドキュメントであれば、変更されたフィールドのみを返します。
+   * tokenFieldsに指定されたフィールドが変更されている場合はtokenMapを含みます。
+   * @param {boolean} isLoaded
+   * @returns 書き込むデータです。
+   */
+  #getUpdateData(isLoaded) {
+    const { createAt, ...item } = this
+    if (!isLoaded) return item
+    const fields = this.changedFields()
+    if (fields.some((field) => this.#tokenFields.includes(field))) {
+      fields.push('tokenMap')
+    }
+    return Object.fromEntries(fields.map((field) => [field, item[field]]))
+  }
+
+  /**
+   * serverTimestamp()で書き込んだフィールドに、ローカルの現在日時を推定値としてセットします。
+   * 書き込み後にドキュメントを読み込まないため、サーバーの日時とは一致しません。
+   * @param {array} fields 推定値をセットするフィールド名の配列です。
+   */
+  #estimateTimestamps(fields) {
+    const now = this.#adapter.now()
+    fields.forEach((field) => {
+      if (field in this) this[field] = now
+    })
+    this.#estimatedAt = this.updateAt
+  }
+
+  /**
+   * 読み込み時からドキュメントが更新されている場合はtrueを返します。
+   * updateAtが書き込み後の推定値の場合はサーバーの日時と比較できないため、
+   * 書き込んだ時点の値（スナップショット）とドキュメントの値をフィールドごとに比較します。
+   * initialize()で値をセットした場合など、updateAtを保持していなければ確認しません。
+   * @param {object} data ドキュメントのデータです。
+   * @param {*} loadedAt インスタンスが保持しているupdateAtです。
+   * @returns 更新されていればtrueです。
+   */
+  #isConflicted(data, loadedAt = this.updateAt) {
+    if (!loadedAt) return false
+    if (loadedAt !== this.#estimatedAt) {
+      return !this.#isSameTime(data.updateAt, loadedAt)
+    }
+    const fields = Object.keys(this.#snapshot).filter(
+      (field) => field in data && !TIMESTAMP_FIELDS.includes(field)
+    )
+    const pick = (item) =>
+      Object.fromEntries(fields.map((field) => [field, item[field]]))
+    return Object.keys(getDiff(pick(this.#snapshot), pick(data))).length > 0
+  }
+
+  /**
+   * docIdプロパティに該当するドキュメントの現在のデータを返します。
+   * ドキュメントが存在しない場合はエラーをthrowします。
+   * @returns ドキュメントのデータをPromiseで返します。
+   */
+  async #getCurrentData() {
+    const colRef = this.#adapter.collection(this.collectionPath)
+    const docSnap = await this.#adapter.getDoc(
+      this.#adapter.doc(colRef, this.docId)
+    )
+    if (!docSnap.exists()) {
+      throw new NotFoundError({
+        collection: this.collectionPath,
+        docId: this.docId,
+      })
+    }
+    return docSnap.data()
+  }
+
+  /**
+   * 一括処理の対象となるデータを、処理結果を保持するオブジェクトの配列に変換します。
+   * @param {FireModel} model
+   * @param {array} items オブジェクトまたはインスタンスの配列です。
+   * @returns { instance, docId, success, error }の配列です。
+   */
+  static #toResults(model, items) {
+    return items.map((item) => {
+      const instance = item instanceof FireModel ? item : model.createInstance()
+      if (instance !== item) instance.initialize(item)
+      return { instance, docId: instance.docId, success: false, error: null }
+    })
+  }
+
+  /**
+   * 一括処理の結果ごとに関数を実行し、エラーが発生した場合は結果に記録します。
+   * @param {array} results
+   * @param {function} fn 結果を引数に取り、Promiseを返す関数です。
+   */
+  static async #runEach(results, fn) {
+    for (const result of results) {
+      try {
+        await fn(result)
+      } catch (err) {
+        result.error = result.instance.#toError(err)
+      }
+    }
+  }
+
+  /**
+   * 一括処理の対象をチャンクに分割し、チャンクごとにバッチで書き込みます。
+   * バッチの書き込みに失敗した場合、チャンク内のすべての結果が失敗となります。
+   * @param {FireModel} model
+   * @param {array} targets 書き込みの対象となる結果の配列です。
+   * @param {function} write (batch, result, index)を引数に、バッチに書き込む関数です。
+   * @param {function} onProgress
+   */
+  static async #commitInChunks(model, targets, write, onProgress) {
+    const operations = model.auditLog ? 2 : 1
+    const size = Math.floor(MAX_BATCH_OPERATIONS / operations)
+    for (let i = 0; i < targets.length; i += size) {
+      const chunk = targets.slice(i, i + size)
+      const batch = model.#adapter.writeBatch()
+      chunk.forEach((result, index) => write(batch, result, i + index))
+      await batch
+        .commit()
+        .then(() => chunk.forEach((result) => (result.success = true)))
+        .catch((err) => {
+          model.sendConsole({
+            message: 'An error has occured at commit() of a write batch.',
+            type: 'error',
+          })
+          chunk.forEach(
+            (result) => (result.error = result.instance.#toError(err))
+          )
+        })
+      if (onProgress) {
+        onProgress({ done: i + chunk.length, total: targets.length })
+      }
+    }
+  }
+
+  /**
+   * 一括処理の結果をコンソールに出力し、呼び出し元に返す形に整えます。
+   * @param {FireModel} model
+   * @param {array} results
+   * @param {string} verb コンソールに出力する動詞です。
+   * @returns { instance, docId, success, error }の配列です。
+   */
+  static #summarize(model, results, verb) {
+    const succeeded = results.filter(({ success }) => success).length
+    model.sendConsole({
+      message: `%d of %d documents were successfully ${verb} in the %s collection.`,
+      params: [succeeded, results.length, model.collection],
+      type: succeeded === results.length ? 'info' : 'warn',
+    })
+    return results.map(({ instance, docId, success, error }) => ({
+      instance,
+      docId: instance.docId || docId,
+      success,
+      error,
+    }))
+  }
+
+  /**
+   * auditLogが設定されている場合に、トランザクション内で変更履歴を書き込みます。
+   * @param {*} transaction
+   * @param {object} options { docId, operation, before, after }
+   */
+  #writeAuditLog(transaction, { docId, operation, before, after }) {
+    if (!this.#auditLog) return
+    writeAuditLog(transaction, this.#adapter, {
+      mode: this.#auditLog,
+      collection: this.collectionPath,
+      docId,
+      operation,
+      uid: this.#auth?.currentUser?.uid || 'unknown',
+      at: this.#adapter.serverTimestamp(),
+      before,
+      after,
+    })
+  }
+
+  /**
+   * softDeleteが有効な場合に、削除済みのドキュメントを除外するための
+   * クエリ条件を返します。
+   * @param {boolean} includeDeleted trueの場合は空の配列を返します。
+   * @returns Firestoreのクエリ条件の配列です。
+   */
+  #getDeletedConstraints(includeDeleted) {
+    if (!this.#softDelete || includeDeleted) return []
+    return [this.#adapter.where('isDeleted', '==', false)]
+  }
+
+  /**
+   * 2つの日時が同一であるかどうかを返します。
+   * 数値（ミリ秒）、Date、FirestoreのTimestampを比較することができます。
+   * @param {*} a
+   * @param {*} b
+   * @returns 同一であればtrueを返します。
    */
-  sendConsole({ message, params = [], type = 'info' }) {
-    // eslint-disable-next-line
-    console[type](`[FireModel.js] ${message}`, ...params)
+  #isSameTime(a, b) {
+    return (toDate(a)?.getTime() ?? null) === (toDate(b)?.getTime() ?? null)
+  }
+
+  /**
+   * tokenMapの生成および検索に使用するため、文字列を正規化します。
+   * 正規化の内容はtokenOptionsに従います。(See models/normalize.js)
+   * @param {string} value
+   * @returns 正規化された文字列です。
+   */
+  #normalizeToken(value) {
+    return normalizeText(value, this.#tokenOptions)
+  }
+
+  /**
+   * 文字列をbi-gramの配列に分割します。
+   * @param {string} value
+   * @returns bi-gramの配列です。
+   */
+  #getBigrams(value) {
+    const result = []
+    for (let i = 0; i <= value.length - 2; i++) {
+      result.push(value.substring(i, i + 2))
+    }
+    return result
+  }
+
+  /**
+   * オブジェクト形式のクエリ条件をFirestoreのクエリ条件の配列に変換します。
+   * 配列が与えられた場合はそのまま返します。
+   * @param {array|object} constraints { where, orderBy, limit }
+   * @returns Firestoreのクエリ条件の配列です。
+   */
+  #parseConstraints(constraints) {
+    if (!constraints) return []
+    if (Array.isArray(constraints)) return constraints
+    if (typeof constraints !== 'object') {
+      throw new TypeError(
+        `[FireModel.js] Constraints must be an array or an object.`
+      )
+    }
+    const result = []
+    const wheres = constraints.where || []
+    for (const item of wheres) {
+      if (!Array.isArray(item) || item.length !== 3) {
+        throw new TypeError(
+          `[FireModel.js] Each where constraint must be [field, operator, value].`
+        )
+      }
+      result.push(this.#adapter.where(...item))
+    }
+    const orders = constraints.orderBy || []
+    for (const item of orders) {
+      const [field, direction = 'asc'] = Array.isArray(item) ? item : [item]
+      result.push(this.#adapter.orderBy(field, direction))
+    }
+    if (constraints.limit) result.push(this.#adapter.limit(constraints.limit))
+    return result
+  }
+
+  /**
+   * ログを出力します。出力先とレベルはloggerの設定に従います。
+   * コレクション名、docId、uidがコンテキストとして付与されます。(See models/logger.js)
+   * @param {message, params, type, operation} typeは'debug', 'info', 'warn', 'error'のいずれかです。
+   */
+  sendConsole({ message, params = [], type = 'info', operation = null }) {
+    log({
+      level: type,
+      source: 'FireModel.js',
+      message,
+      params,
+      context: {
+        collection: this.collectionPath,
+        docId: this.docId || null,
+        operation,
+        uid: this.#auth?.currentUser?.uid || null,
+      },
+    })
   }
 }
@@ -0,0 +1,88 @@
+/**
+ * firestore.js
+ * (c) 2023 shisyamo4131
+ *
+ * The default adapter of FireModel that uses Cloud Firestore.
+ * Each function mirrors the modular API of 'firebase/firestore' with the
+ * firestore instance bound, so FireModel does not depend on Firestore
+ * directly. (See models/adapters/index.js)
+ *
+ * getAggregateFromServer() converts the result of parseAggregateSpec() to
+ * count(), sum() and average() of Firestore, so documents are aggregated on
+ * the server without being read.
+ */
+import {
+  FieldPath,
+  Timestamp,
+  average,
+  collection,
+  collectionGroup,
+  count,
+  doc,
+  documentId,
+  getAggregateFromServer,
+  getCountFromServer,
+  getDoc,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  startAfter,
+  sum,
+  where,
+  writeBatch,
+} from 'firebase/firestore'
+
+/**
+ * Converts the result of parseAggregateSpec() to aggregate fields.
+ * (See models/aggregate.js)
+ */
+function toAggregateFields(spec) {
+  return Object.fromEntries(
+    Object.entries(spec).map(([alias, { type, field }]) => {
+      if (type === 'sum') return [alias, sum(field)]
+      if (type === 'average') return [alias, average(field)]
+      return [alias, count()]
+    })
+  )
+}
+
+/**
+ * Creates an adapter for the firestore instance.
+ * @param {*} firestore A Firestore instance.
+ * @returns An adapter.
+ */
+export default function createFirestoreAdapter(firestore) {
+  return {
+    isAdapter: true,
+    name: 'firestore',
+    firestore,
+    collection: (...paths) => collection(firestore, ...paths),
+    collectionGroup: (collectionId) => collectionGroup(firestore, collectionId),
+    doc: (parent, ...paths) => {
+      if (typeof parent === 'string') return doc(firestore, parent, ...paths)
+      return paths.length ? doc(parent, ...paths) : doc(parent)
+    },
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    documentId,
+    fieldPath: (...fieldNames) => new FieldPath(...fieldNames),
+    getDoc,
+    getDocs,
+    getCountFromServer,
+    getAggregateFromServer: (q, spec) =>
+      getAggregateFromServer(q, toAggregateFields(spec)),
+    onSnapshot,
+    runTransaction: (updateFunction) =>
+      runTransaction(firestore, updateFunction),
+    writeBatch: () => writeBatch(firestore),
+    serverTimestamp,
+    now: () => Timestamp.now(),
+  }
+}
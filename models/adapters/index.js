@@ -0,0 +1,44 @@
+/**
+ * index.js
+ * (c) 2023 shisyamo4131
+ *
+ * Adapters through which FireModel reads and writes documents.
+ * An adapter has the same functions as the modular API of 'firebase/firestore'
+ * without the firestore argument.
+ *
+ * collection(...paths), collectionGroup(collectionId), doc(parent, ...paths),
+ * query(), where(), orderBy(), limit(), startAfter(), documentId(),
+ * getDoc(), getDocs(), getCountFromServer(), onSnapshot(),
+ * runTransaction(updateFunction), writeBatch() and serverTimestamp().
+ *
+ * now() returns the current local time as a Timestamp like Timestamp.now().
+ * FireModel uses it as an estimate of serverTimestamp() after writing.
+ *
+ * getAggregateFromServer(query, spec) takes the result of
+ * parseAggregateSpec() instead of aggregate fields of Firestore.
+ * (See models/aggregate.js)
+ *
+ * doc() accepts a collection reference or path segments. If only a
+ * collection reference is given, a new document id is generated.
+ *
+ * fieldPath(...fieldNames) returns a field path like new FieldPath() that
+ * can be used in where() and orderBy() for field names containing
+ * characters such as '.', '/' or '~'.
+ *
+ * FireModel accepts either a Firestore instance or an adapter as its first
+ * argument. A Firestore instance is wrapped with the Firestore adapter.
+ */
+import createFirestoreAdapter from './firestore'
+import createMemoryAdapter, { MemoryTimestamp } from './memory'
+
+/**
+ * Returns the adapter for the value.
+ * @param {*} value A Firestore instance or an adapter.
+ * @returns An adapter.
+ */
+export function toAdapter(value) {
+  if (value?.isAdapter) return value
+  return createFirestoreAdapter(value)
+}
+
+export { createFirestoreAdapter, createMemoryAdapter, MemoryTimestamp }
@@ -0,0 +1,754 @@
+/**
+ * memory.js
+ * (c) 2023 shisyamo4131
+ *
+ * An adapter of FireModel that keeps documents in memory.
+ * It has the same functions as the Firestore adapter and supports
+ * transactions, batches, queries, aggregations and snapshot listeners,
+ * so models can be exercised without the Firebase emulator or network.
+ *
+ * ----------------------------------------------------------------------------
+ *  HOW TO USE
+ * ----------------------------------------------------------------------------
+ * import { createMemoryAdapter } from '~/models/adapters'
+ * const adapter = createMemoryAdapter()
+ * const customer = new Customer(adapter, auth)
+ * await customer.create()
+ *
+ * Queries accept constraints created by the adapter itself
+ * (adapter.where(), adapter.orderBy(), ...) or the object form of FireModel.
+ * Constraints imported from 'firebase/firestore' are not supported.
+ *
+ * Dates are stored as MemoryTimestamp that has the same methods as
+ * Timestamp of Firestore (toDate(), toMillis(), isEqual()).
+ * clear() removes all documents.
+ */
+import { computeAggregate } from '../aggregate'
+
+const AUTO_ID_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+const MAX_TRANSACTION_ATTEMPTS = 5
+
+/**
+ * Timestamps of the in-memory adapter.
+ */
+export class MemoryTimestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds
+    this.nanoseconds = nanoseconds
+  }
+
+  static now() {
+    return MemoryTimestamp.fromMillis(Date.now())
+  }
+
+  static fromDate(date) {
+    return MemoryTimestamp.fromMillis(date.getTime())
+  }
+
+  static fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000)
+    return new MemoryTimestamp(seconds, (millis - seconds * 1000) * 1e6)
+  }
+
+  toDate() {
+    return new Date(this.toMillis())
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + this.nanoseconds / 1e6
+  }
+
+  isEqual(other) {
+    return (
+      other instanceof MemoryTimestamp &&
+      other.seconds === this.seconds &&
+      other.nanoseconds === this.nanoseconds
+    )
+  }
+
+  valueOf() {
+    return String(this.toMillis()).padStart(20, '0')
+  }
+}
+
+/**
+ * A sentinel replaced with the time of the commit.
+ */
+class ServerTimestamp {}
+const SERVER_TIMESTAMP = Object.freeze(new ServerTimestamp())
+
+/**
+ * A sentinel that refers to the document id in queries.
+ */
+const DOCUMENT_ID = Object.freeze({ type: 'documentId' })
+
+/**
+ * Field paths of the in-memory adapter.
+ * Field names can contain any characters including '.'.
+ */
+class MemoryFieldPath {
+  constructor(fieldNames) {
+    this.fieldNames = fieldNames
+  }
+}
+
+/**
+ * Errors that have the same code as errors of Firestore.
+ */
+class MemoryAdapterError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'FirebaseError'
+    this.code = code
+  }
+}
+
+function autoId() {
+  return [...Array(20)]
+    .map(() => AUTO_ID_CHARS[Math.floor(Math.random() * AUTO_ID_CHARS.length)])
+    .join('')
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+  )
+}
+
+/**
+ * Copies the value deeply.
+ * Timestamps and sentinels are immutable, so they are not copied.
+ */
+function copy(value) {
+  if (Array.isArray(value)) return value.map(copy)
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, copy(item)])
+    )
+  }
+  return value
+}
+
+/**
+ * Converts the value to be stored.
+ * Dates are converted to timestamps and sentinels are resolved.
+ */
+function toStored(value, now, path = '') {
+  if (value === undefined) {
+    throw new MemoryAdapterError(
+      'invalid-argument',
+      `Unsupported field value: undefined (found in field ${path})`
+    )
+  }
+  if (value === SERVER_TIMESTAMP) return now
+  if (value instanceof Date) return MemoryTimestamp.fromDate(value)
+  if (Array.isArray(value)) {
+    return value.map((item) => toStored(item, now, path))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        toStored(item, now, path ? `${path}.${key}` : key),
+      ])
+    )
+  }
+  return value
+}
+
+function getField(data, field) {
+  const keys =
+    field instanceof MemoryFieldPath ? field.fieldNames : field.split('.')
+  return keys.reduce(
+    (result, key) => (isPlainObject(result) ? result[key] : undefined),
+    data
+  )
+}
+
+function setField(data, field, value) {
+  const keys = field.split('.')
+  const last = keys.pop()
+  const target = keys.reduce((result, key) => {
+    if (!isPlainObject(result[key])) result[key] = {}
+    return result[key]
+  }, data)
+  target[last] = value
+}
+
+function merge(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      merge(target[key], value)
+    } else {
+      target[key] = value
+    }
+  })
+  return target
+}
+
+/**
+ * Returns the order of the type in the same way as Firestore.
+ */
+function getTypeOrder(value) {
+  if (value === null) return 0
+  if (typeof value === 'boolean') return 1
+  if (typeof value === 'number') return 2
+  if (value instanceof MemoryTimestamp) return 3
+  if (typeof value === 'string') return 4
+  if (Array.isArray(value)) return 5
+  return 6
+}
+
+function compare(a, b) {
+  const typeA = getTypeOrder(a)
+  const typeB = getTypeOrder(b)
+  if (typeA !== typeB) return typeA - typeB
+  if (a instanceof MemoryTimestamp) return a.toMillis() - b.toMillis()
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const result = compare(a[i], b[i])
+      if (result) return result
+    }
+    return a.length - b.length
+  }
+  if (typeA === 6) return compare(JSON.stringify(a), JSON.stringify(b))
+  if (a === b) return 0
+  return a < b ? -1 : 1
+}
+
+function isEqual(a, b) {
+  return getTypeOrder(a) === getTypeOrder(b) && compare(a, b) === 0
+}
+
+/**
+ * Returns true if the value matches the filter.
+ */
+function matches(value, { op, value: operand }) {
+  if (value === undefined) return false
+  switch (op) {
+    case '==':
+      return isEqual(value, operand)
+    case '!=':
+      return !isEqual(value, operand)
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      if (getTypeOrder(value) !== getTypeOrder(operand)) return false
+      const result = compare(value, operand)
+      if (op === '<') return result < 0
+      if (op === '<=') return result <= 0
+      if (op === '>') return result > 0
+      return result >= 0
+    }
+    case 'in':
+      return operand.some((item) => isEqual(value, item))
+    case 'not-in':
+      return !operand.some((item) => isEqual(value, item))
+    case 'array-contains':
+      return (
+        Array.isArray(value) && value.some((item) => isEqual(item, operand))
+      )
+    case 'array-contains-any':
+      return (
+        Array.isArray(value) &&
+        value.some((item) => operand.some((other) => isEqual(item, other)))
+      )
+    default:
+      throw new MemoryAdapterError(
+        'invalid-argument',
+        `Invalid query. The operator ${op} is not supported.`
+      )
+  }
+}
+
+function splitPath(paths) {
+  return paths
+    .join('/')
+    .split('/')
+    .filter((segment) => segment)
+}
+
+/**
+ * Creates an in-memory adapter.
+ * @returns An adapter.
+ */
+export default function createMemoryAdapter() {
+  const store = new Map()
+  const listeners = new Set()
+  // The last data of deleted documents, kept for snapshots of removals.
+  const removed = new Map()
+  let version = 0
+
+  /**
+   * --------------------------------------------------------------------------
+   *  REFERENCES AND QUERIES
+   * --------------------------------------------------------------------------
+   */
+  function collectionRef(segments) {
+    if (segments.length % 2 !== 1) {
+      throw new MemoryAdapterError(
+        'invalid-argument',
+        `Invalid collection reference. ${segments.join('/')} has ${
+          segments.length
+        } segments.`
+      )
+    }
+    return {
+      type: 'collection',
+      id: segments[segments.length - 1],
+      path: segments.join('/'),
+      parent: segments.length > 1 ? docRef(segments.slice(0, -1)) : null,
+    }
+  }
+
+  function docRef(segments) {
+    if (segments.length % 2 !== 0) {
+      throw new MemoryAdapterError(
+        'invalid-argument',
+        `Invalid document reference. ${segments.join('/')} has ${
+          segments.length
+        } segments.`
+      )
+    }
+    return {
+      type: 'document',
+      id: segments[segments.length - 1],
+      path: segments.join('/'),
+      parent: collectionRef(segments.slice(0, -1)),
+    }
+  }
+
+  function collection(...paths) {
+    return collectionRef(splitPath(paths))
+  }
+
+  function collectionGroup(collectionId) {
+    return { type: 'query', source: { collectionId }, constraints: [] }
+  }
+
+  function doc(parent, ...paths) {
+    if (typeof parent === 'string') return docRef(splitPath([parent, ...paths]))
+    const ids = paths.length ? paths : [autoId()]
+    return docRef(splitPath([parent.path, ...ids]))
+  }
+
+  function query(base, ...constraints) {
+    if (base.type === 'collection') {
+      return { type: 'query', source: base, constraints }
+    }
+    return { ...base, constraints: [...base.constraints, ...constraints] }
+  }
+
+  const where = (field, op, value) => ({
+    type: 'where',
+    field,
+    op,
+    value: toStored(value, null),
+  })
+  const orderBy = (field, direction = 'asc') => ({
+    type: 'orderBy',
+    field,
+    direction,
+  })
+  const limit = (count) => ({ type: 'limit', limit: count })
+  const startAfter = (...values) => ({
+    type: 'startAfter',
+    values: values.map((value) =>
+      typeof value?.exists === 'function' ? value : toStored(value, null)
+    ),
+  })
+  const documentId = () => DOCUMENT_ID
+  const fieldPath = (...fieldNames) => new MemoryFieldPath(fieldNames)
+  const serverTimestamp = () => SERVER_TIMESTAMP
+
+  /**
+   * --------------------------------------------------------------------------
+   *  SNAPSHOTS
+   * --------------------------------------------------------------------------
+   */
+  function toDocSnapshot(path) {
+    const segments = path.split('/')
+    const entry = store.get(path)
+    return {
+      id: segments[segments.length - 1],
+      ref: docRef(segments),
+      exists: () => !!entry,
+      data: () => (entry ? copy(entry.data) : undefined),
+      get: (field) => (entry ? copy(getField(entry.data, field)) : undefined),
+    }
+  }
+
+  /**
+   * Returns a snapshot of the removed document with the data before removal.
+   */
+  function toRemovedSnapshot(path) {
+    const data = removed.get(path)
+    return {
+      ...toDocSnapshot(path),
+      exists: () => true,
+      data: () => copy(data),
+      get: (field) => copy(getField(data, field)),
+    }
+  }
+
+  function toQuerySnapshot(docs, changes = []) {
+    return {
+      docs,
+      size: docs.length,
+      empty: !docs.length,
+      forEach: (callback) => docs.forEach(callback),
+      docChanges: () => changes,
+    }
+  }
+
+  function getValue(path, field) {
+    if (field === DOCUMENT_ID) return path
+    return getField(store.get(path).data, field)
+  }
+
+  /**
+   * Returns paths of the documents that match the query.
+   */
+  function run(target) {
+    const q = target.type === 'collection' ? query(target) : target
+    const { source, constraints } = q
+    const filters = constraints.filter(({ type }) => type === 'where')
+    const orders = constraints.filter(({ type }) => type === 'orderBy')
+    const limits = constraints.filter(({ type }) => type === 'limit')
+    const cursor = constraints.find(({ type }) => type === 'startAfter')
+    let paths = [...store.keys()].filter((path) => {
+      const parent = path.split('/').slice(0, -1)
+      return source.collectionId
+        ? parent[parent.length - 1] === source.collectionId
+        : parent.join('/') === source.path
+    })
+    paths = paths.filter((path) =>
+      filters.every((filter) =>
+        matches(
+          getValue(path, filter.field),
+          filter.field === DOCUMENT_ID
+            ? { ...filter, value: toDocumentPaths(source, filter.value) }
+            : filter
+        )
+      )
+    )
+    paths = paths.filter((path) =>
+      orders.every(({ field }) => getValue(path, field) !== undefined)
+    )
+    const compareDocs = (a, b) => {
+      for (const { field, direction } of orders) {
+        const result = compare(getValue(a, field), getValue(b, field))
+        if (result) return direction === 'desc' ? -result : result
+      }
+      return compare(a, b)
+    }
+    paths.sort(compareDocs)
+    if (cursor) paths = applyCursor(paths, cursor, orders, compareDocs)
+    if (limits.length) paths = paths.slice(0, limits[limits.length - 1].limit)
+    return paths
+  }
+
+  /**
+   * Converts document ids in documentId() filters to paths.
+   */
+  function toDocumentPaths(source, value) {
+    if (!source.path) return value
+    const toPath = (id) => (id.includes('/') ? id : `${source.path}/${id}`)
+    return Array.isArray(value) ? value.map(toPath) : toPath(value)
+  }
+
+  function applyCursor(paths, { values }, orders, compareDocs) {
+    const [first] = values
+    if (first && typeof first.exists === 'function') {
+      const path = first.ref.path
+      if (store.has(path)) return paths.filter((p) => compareDocs(p, path) > 0)
+      const index = paths.indexOf(path)
+      return index < 0 ? paths : paths.slice(index + 1)
+    }
+    return paths.filter((path) => {
+      for (let i = 0; i < values.length && i < orders.length; i++) {
+        const { field, direction } = orders[i]
+        const result = compare(getValue(path, field), values[i])
+        if (result) return direction === 'desc' ? result < 0 : result > 0
+      }
+      return false
+    })
+  }
+
+  async function getDoc(ref) {
+    await Promise.resolve()
+    return toDocSnapshot(ref.path)
+  }
+
+  async function getDocs(target) {
+    await Promise.resolve()
+    return toQuerySnapshot(run(target).map(toDocSnapshot))
+  }
+
+  async function getCountFromServer(target) {
+    await Promise.resolve()
+    const count = run(target).length
+    return { data: () => ({ count }) }
+  }
+
+  async function getAggregateFromServer(target, spec) {
+    await Promise.resolve()
+    const items = run(target).map((path) => toDocSnapshot(path).data())
+    const result = computeAggregate(items, spec)
+    return { data: () => result }
+  }
+
+  /**
+   * --------------------------------------------------------------------------
+   *  LISTENERS
+   * --------------------------------------------------------------------------
+   */
+  function getState(listener) {
+    if (listener.target.type === 'document') {
+      const entry = store.get(listener.target.path)
+      return entry ? [[listener.target.path, entry.version]] : []
+    }
+    return run(listener.target).map((path) => [path, store.get(path).version])
+  }
+
+  function emit(listener) {
+    if (!listeners.has(listener)) return
+    let state
+    try {
+      state = getState(listener)
+    } catch (err) {
+      listeners.delete(listener)
+      if (listener.error) listener.error(err)
+      return
+    }
+    const { target, last } = listener
+    const isFirst = !last
+    const previous = new Map(last || [])
+    const current = new Map(state)
+    listener.last = state
+    if (target.type === 'document') {
+      const isChanged =
+        isFirst ||
+        previous.size !== current.size ||
+        previous.get(target.path) !== current.get(target.path)
+      if (isChanged) listener.next(toDocSnapshot(target.path))
+      return
+    }
+    const working = (last || []).map(([path]) => path)
+    const changes = []
+    working
+      .filter((path) => !current.has(path))
+      .forEach((path) => {
+        const oldIndex = working.indexOf(path)
+        working.splice(oldIndex, 1)
+        changes.push({
+          type: 'removed',
+          doc: toRemovedSnapshot(path),
+          oldIndex,
+          newIndex: -1,
+        })
+      })
+    state.forEach(([path, docVersion], newIndex) => {
+      if (!previous.has(path)) {
+        working.splice(newIndex, 0, path)
+        changes.push({
+          type: 'added',
+          doc: toDocSnapshot(path),
+          oldIndex: -1,
+          newIndex,
+        })
+        return
+      }
+      const oldIndex = working.indexOf(path)
+      if (previous.get(path) === docVersion && oldIndex === newIndex) return
+      working.splice(oldIndex, 1)
+      working.splice(newIndex, 0, path)
+      changes.push({
+        type: 'modified',
+        doc: toDocSnapshot(path),
+        oldIndex,
+        newIndex,
+      })
+    })
+    if (!isFirst && !changes.length) return
+    listener.next(
+      toQuerySnapshot(
+        state.map(([path]) => toDocSnapshot(path)),
+        changes
+      )
+    )
+  }
+
+  function onSnapshot(target, ...args) {
+    const [observer] = args
+    const { next, error } =
+      typeof observer === 'function'
+        ? { next: args[0], error: args[1] }
+        : observer
+    const listener = { target, next, error, last: null }
+    listeners.add(listener)
+    Promise.resolve().then(() => emit(listener))
+    return () => listeners.delete(listener)
+  }
+
+  /**
+   * --------------------------------------------------------------------------
+   *  WRITES
+   * --------------------------------------------------------------------------
+   */
+
+  /**
+   * Applies writes atomically.
+   * @param {array} writes An array of { type, ref, data, options }.
+   */
+  function commit(writes) {
+    const now = MemoryTimestamp.now()
+    const staged = new Map()
+    const getCurrent = (path) =>
+      staged.has(path) ? staged.get(path) : store.get(path)?.data || null
+    writes.forEach(({ type, ref, data, options = {} }) => {
+      const current = getCurrent(ref.path)
+      if (type === 'delete') return staged.set(ref.path, null)
+      if (type === 'set') {
+        const value = toStored(data, now)
+        const next = options.merge ? merge(copy(current || {}), value) : value
+        return staged.set(ref.path, next)
+      }
+      if (!current) {
+        throw new MemoryAdapterError(
+          'not-found',
+          `No document to update: ${ref.path}`
+        )
+      }
+      const next = copy(current)
+      Object.entries(data).forEach(([field, value]) => {
+        setField(next, field, toStored(value, now, field))
+      })
+      staged.set(ref.path, next)
+    })
+    staged.forEach((data, path) => {
+      if (store.has(path)) removed.set(path, store.get(path).data)
+      if (data) {
+        store.set(path, { data, version: ++version })
+      } else {
+        store.delete(path)
+      }
+    })
+    if (staged.size) {
+      Promise.resolve().then(() => listeners.forEach(emit))
+    }
+  }
+
+  function createWriter(writes) {
+    const writer = {
+      set(ref, data, options) {
+        writes.push({ type: 'set', ref, data, options })
+        return writer
+      },
+      update(ref, data) {
+        writes.push({ type: 'update', ref, data })
+        return writer
+      },
+      delete(ref) {
+        writes.push({ type: 'delete', ref })
+        return writer
+      },
+    }
+    return writer
+  }
+
+  function writeBatch() {
+    const writes = []
+    let committed = false
+    return {
+      ...createWriter(writes),
+      commit() {
+        if (committed) {
+          return Promise.reject(
+            new MemoryAdapterError(
+              'failed-precondition',
+              'A write batch can no longer be used after commit() has been called.'
+            )
+          )
+        }
+        committed = true
+        return Promise.resolve().then(() => commit(writes))
+      },
+    }
+  }
+
+  /**
+   * Runs the function in a transaction.
+   * If a document read in the transaction is changed by other writes before
+   * the commit, the function is retried in the same way as Firestore.
+   */
+  async function runTransaction(updateFunction) {
+    for (let i = 0; i < MAX_TRANSACTION_ATTEMPTS; i++) {
+      const writes = []
+      const reads = new Map()
+      const writer = createWriter(writes)
+      const transaction = {
+        ...writer,
+        async get(ref) {
+          if (writes.length) {
+            throw new MemoryAdapterError(
+              'invalid-argument',
+              'Firestore transactions require all reads to be executed before all writes.'
+            )
+          }
+          await Promise.resolve()
+          reads.set(ref.path, store.get(ref.path)?.version || 0)
+          return toDocSnapshot(ref.path)
+        },
+      }
+      const result = await updateFunction(transaction)
+      const isStale = [...reads].some(
+        ([path, docVersion]) => (store.get(path)?.version || 0) !== docVersion
+      )
+      if (isStale) continue
+      commit(writes)
+      return result
+    }
+    throw new MemoryAdapterError(
+      'aborted',
+      'Transaction failed all retries. Documents were changed during the transaction.'
+    )
+  }
+
+  /**
+   * Removes all documents. Listeners are notified of the removal.
+   */
+  function clear() {
+    commit([...store.keys()].map((path) => ({ type: 'delete', ref: { path } })))
+  }
+
+  return {
+    isAdapter: true,
+    name: 'memory',
+    firestore: null,
+    collection,
+    collectionGroup,
+    doc,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    documentId,
+    fieldPath,
+    getDoc,
+    getDocs,
+    getCountFromServer,
+    getAggregateFromServer,
+    onSnapshot,
+    runTransaction,
+    writeBatch,
+    serverTimestamp,
+    now: () => MemoryTimestamp.now(),
+    clear,
+  }
+}
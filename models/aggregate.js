@@ -0,0 +1,81 @@
+/**
+ * aggregate.js
+ * (c) 2023 shisyamo4131
+ *
+ * Aggregations used by count(), sum(), average() and aggregate() of
+ * FireModel. An aggregation is specified as an object whose values are
+ * one of the forms below, and the result has the same keys.
+ *
+ * { docs: 'count', total: ['sum', 'amount'], avg: ['average', 'amount'] }
+ * -> { docs: 3, total: 1500, avg: 500 }
+ *
+ * The results follow aggregate queries of Firestore.
+ * count   : The number of documents.
+ * sum     : The sum of numeric values of the field. Documents whose value is
+ *           not a number are ignored. 0 if there are no numeric values.
+ * average : The average of numeric values of the field. null if there are
+ *           no numeric values.
+ *
+ * computeAggregate() computes them on the client side. It is used by the
+ * in-memory adapter and by the fallback for the emulator that lacks support.
+ */
+
+export const AGGREGATE_TYPES = ['count', 'sum', 'average']
+
+/**
+ * Converts the spec to { alias: { type, field } }.
+ * @param {object} spec { alias: 'count' | [type, field] | { type, field } }
+ * @returns An object of aggregations.
+ */
+export function parseAggregateSpec(spec = {}) {
+  return Object.fromEntries(
+    Object.entries(spec).map(([alias, value]) => {
+      const [type, field] = Array.isArray(value)
+        ? value
+        : typeof value === 'string'
+        ? [value]
+        : [value?.type, value?.field]
+      if (!AGGREGATE_TYPES.includes(type)) {
+        throw new TypeError(
+          `[aggregate.js] The type of ${alias} must be one of ${AGGREGATE_TYPES.join(
+            ', '
+          )}.`
+        )
+      }
+      if (type !== 'count' && typeof field !== 'string') {
+        throw new TypeError(`[aggregate.js] The field of ${alias} is required.`)
+      }
+      return [alias, type === 'count' ? { type } : { type, field }]
+    })
+  )
+}
+
+function getField(data, field) {
+  return field
+    .split('.')
+    .reduce((result, key) => (result == null ? undefined : result[key]), data)
+}
+
+function getNumbers(items, field) {
+  return items
+    .map((data) => getField(data, field))
+    .filter((value) => typeof value === 'number' && !Number.isNaN(value))
+}
+
+/**
+ * Computes the aggregations on the client side.
+ * @param {array} items An array of document data.
+ * @param {object} spec The result of parseAggregateSpec().
+ * @returns { alias: number | null }
+ */
+export function computeAggregate(items, spec) {
+  return Object.fromEntries(
+    Object.entries(spec).map(([alias, { type, field }]) => {
+      if (type === 'count') return [alias, items.length]
+      const values = getNumbers(items, field)
+      const total = values.reduce((sum, value) => sum + value, 0)
+      if (type === 'sum') return [alias, total]
+      return [alias, values.length ? total / values.length : null]
+    })
+  )
+}
@@ -0,0 +1,169 @@
+/**
+ * audit.js
+ * (c) 2023 shisyamo4131
+ *
+ * Provides audit logs (change histories) for FireModel.
+ * If auditLog of FireModel is set, create(), update() and delete() write
+ * an audit log entry in the same transaction as the document.
+ *
+ * auditLog is one of the following.
+ * 'subcollection' : Entries are stored in {collection}/{docId}/AuditLogs.
+ * 'collection'    : Entries are stored in the AuditLogs collection shared by
+ *                   all collections.
+ *
+ * An entry has the following fields.
+ * { collection, docId, operation, uid, at, diff, data }
+ * at is written with serverTimestamp().
+ * diff holds the changed fields as { field: { before, after } }.
+ * data holds the document after the operation. For delete and purge,
+ * it holds the document before the operation.
+ *
+ * Functions accept a Firestore instance or an adapter as firestore.
+ *
+ * NOTE: Fetching histories from the shared collection requires a composite
+ *       index of collection, docId and at.
+ */
+import { toAdapter } from './adapters'
+
+export const AUDIT_LOG_COLLECTION = 'AuditLogs'
+export const AUDIT_LOG_MODES = ['subcollection', 'collection']
+
+/**
+ * Fields that are not recorded in audit logs.
+ */
+const IGNORED_FIELDS = ['tokenMap']
+
+/**
+ * Returns true if two values are equal.
+ * Firestore Timestamps and Dates are compared by their time.
+ */
+function isEqual(a, b) {
+  if (a === b) return true
+  if (a === null || b === null || a === undefined || b === undefined) {
+    return false
+  }
+  const timeA = typeof a.toMillis === 'function' ? a.toMillis() : a
+  const timeB = typeof b.toMillis === 'function' ? b.toMillis() : b
+  if (timeA instanceof Date || timeB instanceof Date) {
+    return new Date(timeA).getTime() === new Date(timeB).getTime()
+  }
+  if (typeof timeA !== 'object' || typeof timeB !== 'object') {
+    return timeA === timeB
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  return [...keys].every((key) => isEqual(a[key], b[key]))
+}
+
+/**
+ * Removes the ignored fields and undefined values from the data.
+ */
+function sanitize(data = {}) {
+  return Object.fromEntries(
+    Object.entries(data).filter(
+      ([key, value]) => !IGNORED_FIELDS.includes(key) && value !== undefined
+    )
+  )
+}
+
+/**
+ * Returns the field-level difference between two objects.
+ * @param {object} before
+ * @param {object} after
+ * @returns An object like { field: { before, after } }.
+ */
+export function getDiff(before = {}, after = {}) {
+  const result = {}
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return
+    if (isEqual(before[key], after[key])) return
+    result[key] = { before: before[key] ?? null, after: after[key] ?? null }
+  })
+  return result
+}
+
+/**
+ * Returns a reference to the collection in which entries are stored.
+ * @param {*} firestore
+ * @param {object} options { mode, collection, docId }
+ * @returns A collection reference.
+ */
+export function getAuditLogCollection(
+  firestore,
+  { mode, collection: colName, docId }
+) {
+  const adapter = toAdapter(firestore)
+  if (mode === 'subcollection') {
+    return adapter.collection(colName, docId, AUDIT_LOG_COLLECTION)
+  }
+  return adapter.collection(AUDIT_LOG_COLLECTION)
+}
+
+/**
+ * Sets an audit log entry in the transaction.
+ * @param {*} transaction Firestore transaction.
+ * @param {*} firestore
+ * @param {object} options { mode, collection, docId, operation, uid, at, before, after }
+ */
+export function writeAuditLog(transaction, firestore, options) {
+  const adapter = toAdapter(firestore)
+  const { mode, collection: colName, docId, operation, uid, at } = options
+  const before = sanitize(options.before)
+  const after = sanitize(options.after)
+  const colRef = getAuditLogCollection(adapter, {
+    mode,
+    collection: colName,
+    docId,
+  })
+  const isDeletion = ['delete', 'purge'].includes(operation)
+  transaction.set(adapter.doc(colRef), {
+    collection: colName,
+    docId,
+    operation,
+    uid,
+    at,
+    diff: getDiff(before, after),
+    data: isDeletion ? before : after,
+  })
+}
+
+/**
+ * Fetches audit log entries of the document in descending order of time.
+ * @param {*} firestore
+ * @param {object} options { mode, collection, docId }
+ * @returns An array of entries with their logId.
+ */
+export async function fetchAuditLogs(firestore, options) {
+  const adapter = toAdapter(firestore)
+  const { mode, collection: colName, docId } = options
+  const colRef = getAuditLogCollection(adapter, options)
+  const { where, orderBy } = adapter
+  const constraints =
+    mode === 'subcollection'
+      ? [orderBy('at', 'desc')]
+      : [
+          where('collection', '==', colName),
+          where('docId', '==', docId),
+          orderBy('at', 'desc'),
+        ]
+  const snapshot = await adapter.getDocs(adapter.query(colRef, ...constraints))
+  return snapshot.docs.map((docSnap) => ({
+    logId: docSnap.id,
+    ...docSnap.data(),
+  }))
+}
+
+/**
+ * Fetches an audit log entry.
+ * @param {*} firestore
+ * @param {object} options { mode, collection, docId, logId }
+ * @returns An entry with its logId, or null if it does not exist.
+ */
+export async function fetchAuditLog(firestore, options) {
+  const adapter = toAdapter(firestore)
+  const colRef = getAuditLogCollection(adapter, options)
+  const docSnap = await adapter.getDoc(adapter.doc(colRef, options.logId))
+  if (!docSnap.exists()) return null
+  return { logId: docSnap.id, ...docSnap.data() }
+}
@@ -0,0 +1,269 @@
+/**
+ * autonumber.js
+ * (c) 2023 shisyamo4131
+ *
+ * Provides automatic numbering for FireModel with the Autonumbers collection.
+ * The document id of the Autonumbers collection is the collection name to be
+ * numbered. Numbering is performed only while 'condition' is true.
+ *
+ * ----------------------------------------------------------------------------
+ *  DOCUMENT STRUCTURE
+ * ----------------------------------------------------------------------------
+ * [Autonumbers/Customers]
+ * {
+ *   condition: true,
+ *   fields: {
+ *     code: {
+ *       current: 0,          // The last number assigned.
+ *       length: 4,           // The number of digits.
+ *       prefix: 'C-{FY}-',   // Optional template placed before the number.
+ *       suffix: '',          // Optional template placed after the number.
+ *       reset: 'fiscalYear', // Optional. 'year', 'fiscalYear', 'month' or 'day'.
+ *       fiscalYearStart: 4,  // Optional. The month in which the fiscal year starts.
+ *       overflow: 'error',   // Optional. 'error' or 'extend'.
+ *       period: '2026',      // Managed automatically when reset is specified.
+ *     },
+ *   },
+ * }
+ * -> 'C-2026-0001', 'C-2026-0002', ... and resets to 'C-2027-0001' in April 2027.
+ * If period is missing, the number continues as the current period.
+ *
+ * The following tokens can be used in prefix and suffix.
+ * {YYYY}, {YY}, {MM}, {DD} and {FY} (fiscal year).
+ *
+ * If overflow is 'error', an error is thrown when the digits run out.
+ * If overflow is 'extend', the number continues with more digits.
+ *
+ * The former structure below is still supported.
+ * { current: 0, length: 4, field: 'code', condition: true }
+ *
+ * Functions accept a Firestore instance or an adapter as firestore.
+ */
+import dayjs from 'dayjs'
+import { toAdapter } from './adapters'
+import { AutonumberExhaustedError } from './errors'
+
+dayjs.extend(require('dayjs/plugin/utc'))
+dayjs.extend(require('dayjs/plugin/timezone'))
+
+export const AUTONUMBER_COLLECTION = 'Autonumbers'
+export const RESET_PERIODS = ['year', 'fiscalYear', 'month', 'day']
+
+/**
+ * Returns a reference to the autonumber document of the collection.
+ * If colName is a path to a subcollection like 'Customers/xxx/Sites',
+ * the document is placed under the parent document.
+ * -> Customers/xxx/Autonumbers/Sites
+ */
+function getRef(firestore, colName) {
+  const segments = colName.split('/')
+  const name = segments.pop()
+  return toAdapter(firestore).doc(...segments, AUTONUMBER_COLLECTION, name)
+}
+
+/**
+ * Returns true if the data has the former structure.
+ */
+function isLegacy(data) {
+  return !data.fields && !!data.field
+}
+
+/**
+ * Converts the data of the autonumber document to the current structure.
+ */
+function normalize(data) {
+  if (!isLegacy(data)) {
+    return { condition: !!data.condition, fields: data.fields || {} }
+  }
+  const { condition, field, current, length } = data
+  return { condition: !!condition, fields: { [field]: { current, length } } }
+}
+
+/**
+ * Returns the fiscal year of the date.
+ */
+function getFiscalYear(date, fiscalYearStart = 4) {
+  return date.month() + 1 >= fiscalYearStart ? date.year() : date.year() - 1
+}
+
+/**
+ * Returns the key of the reset period that the date belongs to.
+ * @param {object} setting
+ * @param {object} date A dayjs object.
+ * @returns A string, or null if reset is not specified.
+ */
+function getPeriod({ reset, fiscalYearStart }, date) {
+  if (reset === 'year') return date.format('YYYY')
+  if (reset === 'fiscalYear') {
+    return String(getFiscalYear(date, fiscalYearStart))
+  }
+  if (reset === 'month') return date.format('YYYY-MM')
+  if (reset === 'day') return date.format('YYYY-MM-DD')
+  return null
+}
+
+/**
+ * Replaces tokens in the template with the date.
+ * @param {string} template
+ * @param {object} setting
+ * @param {object} date A dayjs object.
+ * @returns A string.
+ */
+function render(template = '', { fiscalYearStart }, date) {
+  return template
+    .replace(/\{FY\}/g, String(getFiscalYear(date, fiscalYearStart)))
+    .replace(/\{(YYYY|YY|MM|DD)\}/g, (_, token) => date.format(token))
+}
+
+/**
+ * Returns a code that consists of the number and the templates.
+ * @param {object} setting
+ * @param {number} num
+ * @param {object} date A dayjs object.
+ * @returns A string.
+ */
+export function formatAutonumber(setting, num, date = dayjs().tz()) {
+  const { prefix, suffix, length } = setting
+  const before = render(prefix, setting, date)
+  const after = render(suffix, setting, date)
+  return `${before}${String(num).padStart(length, '0')}${after}`
+}
+
+/**
+ * Validates settings of the autonumber.
+ * @param {object} fields
+ */
+function validateFields(fields) {
+  if (!fields || typeof fields !== 'object' || !Object.keys(fields).length) {
+    throw new TypeError('[autonumber.js] At least one field must be specified.')
+  }
+  Object.entries(fields).forEach(([field, setting]) => {
+    if (!Number.isInteger(setting.length) || setting.length < 1) {
+      throw new TypeError(
+        `[autonumber.js] The length of the ${field} field must be a positive integer.`
+      )
+    }
+    if (setting.reset && !RESET_PERIODS.includes(setting.reset)) {
+      throw new TypeError(
+        `[autonumber.js] The reset of the ${field} field must be one of ${RESET_PERIODS.join(
+          ', '
+        )}.`
+      )
+    }
+  })
+}
+
+/**
+ * Fetches the autonumber settings of the collection.
+ * @param {*} firestore
+ * @param {string} colName
+ * @returns { condition, fields } or null if it does not exist.
+ */
+export async function fetchAutonumber(firestore, colName) {
+  const docSnap = await toAdapter(firestore).getDoc(getRef(firestore, colName))
+  if (!docSnap.exists()) return null
+  return normalize(docSnap.data())
+}
+
+/**
+ * Initializes the autonumber settings of the collection.
+ * Existing settings are not overwritten unless overwrite is true.
+ * Even if overwrite is true, the current numbers and periods of existing
+ * fields are kept unless they are specified.
+ * The current period is stored for fields with reset if it is not kept.
+ * @param {*} firestore
+ * @param {string} colName
+ * @param {object} fields Settings for each field. current defaults to 0.
+ * @param {object} options { condition, overwrite }
+ * @returns The initialized settings.
+ */
+export async function initializeAutonumber(
+  firestore,
+  colName,
+  fields,
+  { condition = true, overwrite = false } = {}
+) {
+  validateFields(fields)
+  const adapter = toAdapter(firestore)
+  const ref = getRef(adapter, colName)
+  return await adapter.runTransaction(async (transaction) => {
+    const docSnap = await transaction.get(ref)
+    if (docSnap.exists() && !overwrite) {
+      throw new Error(
+        `[autonumber.js] The autonumber of the ${colName} collection already exists.`
+      )
+    }
+    const existing = docSnap.exists() ? normalize(docSnap.data()).fields : {}
+    const date = dayjs().tz()
+    const data = {
+      condition,
+      fields: Object.fromEntries(
+        Object.entries(fields).map(([field, setting]) => {
+          const { current, period } = existing[field] || {}
+          const result = {
+            current: current || 0,
+            ...(period && { period }),
+            ...setting,
+          }
+          const currentPeriod = getPeriod(result, date)
+          if (currentPeriod && !result.period) result.period = currentPeriod
+          return [field, result]
+        })
+      ),
+    }
+    transaction.set(ref, data)
+    return data
+  })
+}
+
+/**
+ * Assigns numbers in the transaction.
+ * This must be called before any writes in the transaction.
+ * @param {*} transaction
+ * @param {*} firestore
+ * @param {string} colName
+ * @param {number} count The number of items to be numbered.
+ * @returns An array of objects like { code: 'C-2026-0001' } for each item.
+ *          An empty array is returned if numbering is not performed.
+ */
+export async function assignAutonumbers(
+  transaction,
+  firestore,
+  colName,
+  count = 1
+) {
+  const ref = getRef(firestore, colName)
+  const docSnap = await transaction.get(ref)
+  if (!docSnap.exists() || !count) return []
+  const data = docSnap.data()
+  const { condition, fields } = normalize(data)
+  if (!condition) return []
+  const date = dayjs().tz()
+  const result = [...Array(count)].map(() => ({}))
+  const updates = {}
+  Object.entries(fields).forEach(([field, setting]) => {
+    const period = getPeriod(setting, date)
+    const isNewPeriod =
+      !!period && !!setting.period && period !== setting.period
+    const start = isNewPeriod ? 0 : setting.current || 0
+    const last = start + count
+    if (setting.overflow !== 'extend' && last >= Math.pow(10, setting.length)) {
+      throw new AutonumberExhaustedError({
+        collection: colName,
+        field,
+        length: setting.length,
+      })
+    }
+    result.forEach((item, index) => {
+      item[field] = formatAutonumber(setting, start + index + 1, date)
+    })
+    if (isLegacy(data)) {
+      updates.current = last
+    } else {
+      updates[`fields.${field}.current`] = last
+      if (period) updates[`fields.${field}.period`] = period
+    }
+  })
+  transaction.update(ref, updates)
+  return result
+}
@@ -0,0 +1,164 @@
+/**
+ * cache.js
+ * (c) 2023 shisyamo4131
+ *
+ * A persistent cache of master data on IndexedDB used by store/masters.js.
+ * Each collection is stored as one entry like below.
+ *
+ * { collection, uid, version, items, highWater }
+ *
+ * highWater is the latest updateAt (milliseconds) of the items. The store
+ * loads the items right away and then queries only documents whose updateAt
+ * is newer than highWater.
+ *
+ * Entries of another user or another version are discarded when loaded.
+ * Increase CACHE_VERSION to invalidate caches of all users, for example
+ * when the constraints of masters or the structure of documents change.
+ *
+ * Timestamps are stored as Dates, because IndexedDB cannot keep their class,
+ * and are restored as Timestamps when loaded, so cached items have the same
+ * shape as items read from Firestore.
+ * All functions do nothing if IndexedDB is not available.
+ */
+import { Timestamp } from 'firebase/firestore'
+
+export const CACHE_VERSION = 1
+export const CACHE_DB_NAME = 'masters-cache'
+const STORE_NAME = 'entries'
+
+/**
+ * Converts values to be stored in IndexedDB.
+ * Objects that have toDate() (Timestamps) are converted to Dates.
+ */
+function toStorable(value) {
+  if (value === null || typeof value !== 'object') return value
+  if (value instanceof Date) return value
+  if (typeof value.toDate === 'function') return value.toDate()
+  if (Array.isArray(value)) return value.map(toStorable)
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, toStorable(item)])
+  )
+}
+
+/**
+ * Converts values loaded from IndexedDB.
+ * Dates are converted to Timestamps with toTimestamp.
+ */
+function fromStorable(value, toTimestamp) {
+  if (value === null || typeof value !== 'object') return value
+  if (value instanceof Date) return toTimestamp(value)
+  if (Array.isArray(value)) {
+    return value.map((item) => fromStorable(item, toTimestamp))
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      fromStorable(item, toTimestamp),
+    ])
+  )
+}
+
+/**
+ * Returns the latest updateAt of the items in milliseconds.
+ * @param {array} items
+ * @returns A number, or null if no item has updateAt.
+ */
+export function getHighWater(items) {
+  return items.reduce((result, { updateAt }) => {
+    const time =
+      typeof updateAt?.toMillis === 'function'
+        ? updateAt.toMillis()
+        : updateAt instanceof Date
+        ? updateAt.getTime()
+        : typeof updateAt === 'number'
+        ? updateAt
+        : null
+    if (time === null) return result
+    return result === null ? time : Math.max(result, time)
+  }, null)
+}
+
+/**
+ * Wraps the request of IndexedDB with a Promise.
+ */
+function toPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Creates a cache of master data.
+ * @param {object} options { indexedDB, version, toTimestamp }
+ *                         toTimestamp converts a Date to a Timestamp.
+ *                         Defaults to Timestamp.fromDate() of Firestore.
+ * @returns { load(uid, collection), save(uid, collection, items), clear() }
+ */
+export function createMasterCache({
+  indexedDB = globalThis.indexedDB,
+  version = CACHE_VERSION,
+  toTimestamp = (date) => Timestamp.fromDate(date),
+} = {}) {
+  let db = null
+
+  function open() {
+    if (!indexedDB) return Promise.resolve(null)
+    if (!db) {
+      const request = indexedDB.open(CACHE_DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'collection' })
+      }
+      db = toPromise(request).catch(() => null)
+    }
+    return db
+  }
+
+  async function run(mode, fn) {
+    const database = await open()
+    if (!database) return null
+    const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+    return toPromise(fn(store))
+  }
+
+  return {
+    /**
+     * Returns the cached entry of the collection for the user.
+     * @returns { items, highWater }, or null if not cached.
+     */
+    async load(uid, collection) {
+      const entry = await run('readonly', (store) => store.get(collection))
+      if (!entry) return null
+      if (entry.uid !== uid || entry.version !== version) {
+        await this.clear()
+        return null
+      }
+      return {
+        items: fromStorable(entry.items, toTimestamp),
+        highWater: entry.highWater,
+      }
+    },
+
+    /**
+     * Stores the items of the collection for the user.
+     */
+    async save(uid, collection, items) {
+      await run('readwrite', (store) =>
+        store.put({
+          collection,
+          uid,
+          version,
+          items: toStorable(items),
+          highWater: getHighWater(items),
+        })
+      )
+    },
+
+    /**
+     * Removes all entries.
+     */
+    async clear() {
+      await run('readwrite', (store) => store.clear())
+    },
+  }
+}
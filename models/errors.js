@@ -0,0 +1,148 @@
+/**
+ * errors.js
+ * (c) 2023 shisyamo4131
+ *
+ * Error classes thrown by FireModel.
+ * All of them extend FireModelError and have the following properties.
+ *
+ * code    : One of the codes below that identifies the failure.
+ * details : Structured information about the failure.
+ * message : The message in the current locale. (See models/messages.js)
+ *
+ * | class                         | code                        |
+ * | ----------------------------- | --------------------------- |
+ * | NotFoundError                 | 'not-found'                 |
+ * | ValidationError               | 'validation-failed'         |
+ * | DependentDocumentsExistError  | 'dependent-documents-exist' |
+ * | AutonumberExhaustedError      | 'autonumber-exhausted'      |
+ * | PermissionDeniedError         | 'permission-denied'         |
+ * | ConflictError                 | 'concurrency-conflict'      |
+ *
+ * ex.) if (err instanceof DependentDocumentsExistError) ...
+ *      if (err.code === 'not-found') ...
+ *      alert(err.getMessage('en'))
+ */
+import { translate } from './messages'
+
+/**
+ * Base class of errors thrown by FireModel.
+ */
+export class FireModelError extends Error {
+  constructor(code, details = {}) {
+    super(translate(code, details))
+    this.name = 'FireModelError'
+    this.code = code
+    this.details = details
+  }
+
+  /**
+   * Returns the message in the specified locale.
+   * @param {string} locale
+   */
+  getMessage(locale) {
+    return translate(this.code, this.details, locale)
+  }
+}
+
+/**
+ * Errors thrown when the document does not exist.
+ */
+export class NotFoundError extends FireModelError {
+  constructor({ collection, docId }) {
+    super('not-found', { collection, docId })
+    this.name = 'NotFoundError'
+    this.collection = collection
+    this.docId = docId
+  }
+}
+
+/**
+ * Errors thrown when values do not satisfy the schema.
+ * errors holds error messages for each field.
+ * ex.) { code: ['code is required.'], 'address.zipcode': ['...'] }
+ */
+export class ValidationError extends FireModelError {
+  constructor(errors) {
+    super('validation-failed', {
+      errors,
+      fields: Object.keys(errors).join(', '),
+    })
+    this.name = 'ValidationError'
+    this.errors = errors
+  }
+}
+
+/**
+ * Errors thrown when the document cannot be deleted because documents
+ * depending on it exist.
+ * relation holds the hasMany relation in which dependent documents exist.
+ */
+export class DependentDocumentsExistError extends FireModelError {
+  constructor({ collection, docId, relation }) {
+    super('dependent-documents-exist', { collection, docId, relation })
+    this.name = 'DependentDocumentsExistError'
+    this.collection = collection
+    this.docId = docId
+    this.relation = relation
+  }
+}
+
+/**
+ * Errors thrown when no more numbers can be assigned.
+ */
+export class AutonumberExhaustedError extends FireModelError {
+  constructor({ collection, field, length }) {
+    super('autonumber-exhausted', { collection, field, length })
+    this.name = 'AutonumberExhaustedError'
+    this.collection = collection
+    this.field = field
+    this.length = length
+  }
+}
+
+/**
+ * Errors thrown when the security rules deny the operation.
+ * cause holds the original error.
+ */
+export class PermissionDeniedError extends FireModelError {
+  constructor({ collection, docId, cause }) {
+    super('permission-denied', { collection, docId })
+    this.name = 'PermissionDeniedError'
+    this.collection = collection
+    this.docId = docId
+    this.cause = cause
+  }
+}
+
+/**
+ * Errors thrown when the document has been updated by another user
+ * after it was loaded.
+ * data holds the current data of the document on the server.
+ */
+export class ConflictError extends FireModelError {
+  constructor({ collection, docId, data }) {
+    super('concurrency-conflict', { collection, docId })
+    this.name = 'ConflictError'
+    this.collection = collection
+    this.docId = docId
+    this.data = data
+  }
+}
+
+/**
+ * Converts errors of Firestore to errors of FireModel.
+ * Errors that are not converted are returned as they are.
+ * @param {*} err
+ * @param {object} context { collection, docId }
+ * @returns An error.
+ */
+export function toFireModelError(err, { collection, docId } = {}) {
+  if (err instanceof FireModelError) return err
+  if (err?.code === 'permission-denied') {
+    return new PermissionDeniedError({ collection, docId, cause: err })
+  }
+  if (err?.code === 'not-found') {
+    return new NotFoundError({ collection, docId })
+  }
+  return err
+}
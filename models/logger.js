@@ -0,0 +1,195 @@
+/**
+ * logger.js
+ * (c) 2023 shisyamo4131
+ *
+ * A pluggable logger used by sendConsole() of FireModel.
+ * A log record is passed to every sink whose level is satisfied.
+ *
+ * { level, source, message, params, context, at }
+ * context holds { collection, docId, operation, uid }.
+ *
+ * ----------------------------------------------------------------------------
+ *  HOW TO USE
+ * ----------------------------------------------------------------------------
+ * configureLogger({
+ *   level: 'info',
+ *   sinks: [
+ *     createConsoleSink(),
+ *     createFirestoreSink(this.$firestore, { level: 'error' }),
+ *   ],
+ * })
+ *
+ * level is one of 'debug', 'info', 'warn', 'error' and 'silent'.
+ * Records below level are discarded, and 'silent' discards all records.
+ * Each sink can also have its own level.
+ *
+ * A sink is an object like { level, write(record) }. Errors thrown by sinks
+ * are ignored so that logging never breaks the operation.
+ *
+ * getDefaultOptions() returns the default options for NODE_ENV.
+ * local : 'debug' to the console.
+ * dev   : 'info' to the console.
+ * prod  : 'warn' to the console.
+ * (See plugins/logger.js for the sinks of error records.)
+ */
+import { push, ref } from 'firebase/database'
+import { toAdapter } from './adapters'
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent']
+export const LOG_COLLECTION = 'Logs'
+
+const DEFAULT_OPTIONS = {
+  local: { level: 'debug' },
+  dev: { level: 'info' },
+  prod: { level: 'warn' },
+}
+
+let options = {
+  level: 'debug',
+  sinks: [createConsoleSink()],
+}
+
+/**
+ * Returns true if the level satisfies the threshold.
+ */
+function isEnabled(level, threshold = 'debug') {
+  if (threshold === 'silent') return false
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold)
+}
+
+/**
+ * Returns the message with placeholders (%s, %d, %o) replaced by params.
+ */
+export function formatMessage(message, params = []) {
+  const rest = [...params]
+  const formatted = message.replace(/%[sdoO]/g, (token) => {
+    if (!rest.length) return token
+    const value = rest.shift()
+    if (token === '%d') return String(Number(value))
+    if (token === '%s') return String(value)
+    return JSON.stringify(value)
+  })
+  return [formatted, ...rest.map((value) => JSON.stringify(value))].join(' ')
+}
+
+/**
+ * Converts the record to be stored in databases.
+ * Values that cannot be stored (undefined, errors) are converted.
+ */
+function serialize(record) {
+  const { level, source, message, params, context, at } = record
+  return {
+    level,
+    source,
+    message: formatMessage(message, params),
+    context: Object.fromEntries(
+      Object.entries(context).map(([key, value]) => [key, value ?? null])
+    ),
+    at: at.toISOString(),
+    userAgent: typeof navigator === 'undefined' ? null : navigator.userAgent,
+  }
+}
+
+/**
+ * Returns the default options for the environment.
+ * @param {string} env The value of NODE_ENV.
+ * @returns { level }
+ */
+export function getDefaultOptions(env) {
+  return { ...(DEFAULT_OPTIONS[env] || DEFAULT_OPTIONS.dev) }
+}
+
+/**
+ * Changes the options of the logger.
+ * Options that are not specified are kept.
+ * @param {object} newOptions { level, sinks }
+ */
+export function configureLogger(newOptions = {}) {
+  const { level = options.level } = newOptions
+  if (!LOG_LEVELS.includes(level)) {
+    throw new TypeError(
+      `[logger.js] The level must be one of ${LOG_LEVELS.join(', ')}.`
+    )
+  }
+  options = { ...options, ...newOptions, level }
+}
+
+/**
+ * Passes the record to the sinks.
+ * @param {object} record { level, source, message, params, context }
+ */
+export function log({ level = 'info', source, message, params = [], context }) {
+  if (!isEnabled(level, options.level)) return
+  const record = {
+    level,
+    source,
+    message,
+    params,
+    context: { ...context },
+    at: new Date(),
+  }
+  options.sinks
+    .filter((sink) => isEnabled(level, sink.level))
+    .forEach((sink) => {
+      try {
+        Promise.resolve(sink.write(record)).catch(() => {})
+      } catch (err) {
+        // Logging must not break the operation.
+      }
+    })
+}
+
+/**
+ * Creates a sink that writes records to the console.
+ * @param {object} sinkOptions { level }
+ */
+export function createConsoleSink({ level = 'debug' } = {}) {
+  return {
+    level,
+    write({ level: type, source, message, params }) {
+      const method = type === 'debug' ? 'log' : type
+      // eslint-disable-next-line
+      console[method](`[${source}] ${message}`, ...params)
+    },
+  }
+}
+
+/**
+ * Creates a sink that adds records to a Firestore collection.
+ * @param {*} firestore A Firestore instance or an adapter.
+ * @param {object} sinkOptions { level, collection }
+ */
+export function createFirestoreSink(
+  firestore,
+  { level = 'error', collection = LOG_COLLECTION } = {}
+) {
+  const adapter = toAdapter(firestore)
+  return {
+    level,
+    write(record) {
+      const batch = adapter.writeBatch()
+      batch.set(adapter.doc(adapter.collection(collection)), {
+        ...serialize(record),
+        createAt: adapter.serverTimestamp(),
+      })
+      return batch.commit()
+    },
+  }
+}
+
+/**
+ * Creates a sink that pushes records to a path of the Realtime Database.
+ * @param {*} database A Database instance.
+ * @param {object} sinkOptions { level, path }
+ */
+export function createDatabaseSink(
+  database,
+  { level = 'error', path = LOG_COLLECTION } = {}
+) {
+  return {
+    level,
+    write(record) {
+      return push(ref(database, path), serialize(record))
+    },
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * messages.js
+ * (c) 2023 shisyamo4131
+ *
+ * The locale table of messages of errors thrown by FireModel.
+ * Messages are looked up with the code of the error, and placeholders like
+ * {collection} or {relation.collection} are replaced with its details.
+ *
+ * The default locale is 'ja'. Change it with setLocale(), or get a message
+ * in another locale with getMessage(locale) of the error.
+ * ex.) err.getMessage('en')
+ *
+ * Codes of Firebase errors ('unavailable', 'auth/xxx', ...) and labels of
+ * notifications are also defined to show them to users.
+ * (See models/notification.js)
+ *
+ * Messages of validation are defined with codes like 'schema/required'.
+ * (See models/schema.js)
+ */
+
+export const LOCALES = ['ja', 'en']
+
+export const MESSAGES = {
+  ja: {
+    'not-found':
+      'ドキュメントが存在しません。\nCollection: {collection}\ndocId: {docId}',
+    'validation-failed': '入力内容に誤りがあります。\n項目: {fields}',
+    'dependent-documents-exist':
+      '関連する情報が登録されているため削除できません。\nCollection: {relation.collection}\ndocId: {docId}',
+    'autonumber-exhausted':
+      '{collection}の{field}は{length}桁の採番が上限に達したため、これ以上登録できません。',
+    'permission-denied': 'この操作を行う権限がありません。',
+    'concurrency-conflict':
+      '他のユーザーによって更新されています。最新の情報を読み込んでから、もう一度実行してください。',
+    unavailable:
+      'サーバーに接続できません。通信環境を確認して、もう一度実行してください。',
+    'deadline-exceeded':
+      'サーバーからの応答がありません。しばらくしてから、もう一度実行してください。',
+    unauthenticated: 'サインインしてください。',
+    'auth/invalid-email': 'メールアドレスの形式が正しくありません。',
+    'auth/user-not-found': 'メールアドレスまたはパスワードが正しくありません。',
+    'auth/wrong-password': 'メールアドレスまたはパスワードが正しくありません。',
+    'auth/too-many-requests':
+      '試行回数が多すぎます。しばらくしてから、もう一度実行してください。',
+    'auth/network-request-failed':
+      'サーバーに接続できません。通信環境を確認して、もう一度実行してください。',
+    unknown: 'エラーが発生しました。',
+    retry: '再試行',
+    'schema/required': '{field}は必須です。',
+    'schema/type': '{field}の型は{type}である必要があります。',
+    'schema/min-length': '{field}は{min}文字（件）以上である必要があります。',
+    'schema/max-length': '{field}は{max}文字（件）以下である必要があります。',
+    'schema/min': '{field}は{min}以上である必要があります。',
+    'schema/max': '{field}は{max}以下である必要があります。',
+    'schema/pattern': '{field}の形式が正しくありません。',
+    'schema/enum': '{field}は{values}のいずれかである必要があります。',
+    'schema/invalid': '{field}が正しくありません。',
+  },
+  en: {
+    'not-found':
+      'The document in the {collection} collection with document id {docId} does not exist.',
+    'validation-failed': 'Validation failed. Invalid fields: {fields}',
+    'dependent-documents-exist':
+      'The document with document id {docId} cannot be deleted because related documents exist in the {relation.collection} collection.',
+    'autonumber-exhausted':
+      'No more documents can be added to the {collection} collection. The {field} field has run out of {length} digits.',
+    'permission-denied':
+      'You do not have permission to perform this operation.',
+    'concurrency-conflict':
+      'The document in the {collection} collection with document id {docId} has been updated by another user.',
+    unavailable:
+      'Could not connect to the server. Check your network and try again.',
+    'deadline-exceeded':
+      'The server did not respond. Wait a moment and try again.',
+    unauthenticated: 'Please sign in.',
+    'auth/invalid-email': 'The email address is badly formatted.',
+    'auth/user-not-found': 'The email address or password is incorrect.',
+    'auth/wrong-password': 'The email address or password is incorrect.',
+    'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+    'auth/network-request-failed':
+      'Could not connect to the server. Check your network and try again.',
+    unknown: 'An error has occurred.',
+    retry: 'Retry',
+    'schema/required': '{field} is required.',
+    'schema/type': '{field} must be of type {type}.',
+    'schema/min-length': '{field} must be at least {min} in length.',
+    'schema/max-length': '{field} must be at most {max} in length.',
+    'schema/min': '{field} must be greater than or equal to {min}.',
+    'schema/max': '{field} must be less than or equal to {max}.',
+    'schema/pattern': '{field} does not match the pattern.',
+    'schema/enum': '{field} must be one of {values}.',
+    'schema/invalid': '{field} is invalid.',
+  },
+}
+
+let currentLocale = 'ja'
+
+/**
+ * Returns the current locale.
+ */
+export function getLocale() {
+  return currentLocale
+}
+
+/**
+ * Changes the current locale.
+ * @param {string} locale One of LOCALES.
+ */
+export function setLocale(locale) {
+  if (!LOCALES.includes(locale)) {
+    throw new TypeError(
+      `[messages.js] The locale must be one of ${LOCALES.join(', ')}.`
+    )
+  }
+  currentLocale = locale
+}
+
+/**
+ * Returns the message of the code with placeholders replaced by details.
+ * @param {string} code
+ * @param {object} details
+ * @param {string} locale The current locale is used if omitted.
+ * @returns A string. The code itself is returned if no message is defined.
+ */
+export function translate(code, details = {}, locale = currentLocale) {
+  const template = MESSAGES[locale]?.[code] || MESSAGES.en[code]
+  if (!template) return code
+  return template.replace(/\{([\w.]+)\}/g, (_, path) => {
+    const value = path
+      .split('.')
+      .reduce((result, key) => (result == null ? result : result[key]), details)
+    return value ?? ''
+  })
+}
@@ -0,0 +1,97 @@
+/**
+ * normalize.js
+ * (c) 2023 shisyamo4131
+ *
+ * Normalizes strings before they are split into tokens of tokenMap.
+ * The same normalization is applied to stored tokens and search strings,
+ * so that differences in notation do not affect searching.
+ *
+ * 1. NFKC       : Half-width kana to full-width, full-width alphanumerics
+ *                 to half-width. ('ｶﾌﾞｼｷ' -> 'カブシキ', '１２３' -> '123')
+ * 2. Spaces     : Removed.
+ * 3. Case       : Lowercased.
+ * 4. Corporate  : Corporate suffixes like 株式会社 and (株) are removed
+ *                 if removeCorporateSuffix is true.
+ * 5. Kana       : Hiragana to katakana. ('かぶしき' -> 'カブシキ')
+ * 6. Small kana : Small kana to normal kana. ('キャ' -> 'キヤ')
+ * 7. Long vowel : Long vowel marks are removed. ('コンピューター' -> 'コンピユタ')
+ *
+ * NOTE: tokenMap of existing documents is not updated by the change of the
+ *       normalization, and update() skips writing documents whose values are
+ *       not changed. Run rebuildTokenMap() of the model once to rewrite
+ *       tokenMap of all documents.
+ *       ex.) await Customer.rebuildTokenMap(this.$firestore, this.$auth)
+ */
+
+export const CORPORATE_SUFFIXES = [
+  '株式会社',
+  '有限会社',
+  '合同会社',
+  '合資会社',
+  '合名会社',
+  '一般社団法人',
+  '一般財団法人',
+  '公益社団法人',
+  '公益財団法人',
+  '社会福祉法人',
+  '特定非営利活動法人',
+  'NPO法人',
+  '医療法人',
+  '学校法人',
+  '(株)',
+  '(有)',
+  '(同)',
+  '(資)',
+  '(名)',
+  '(社)',
+  '(財)',
+]
+
+const SMALL_KANA = {
+  ァ: 'ア',
+  ィ: 'イ',
+  ゥ: 'ウ',
+  ェ: 'エ',
+  ォ: 'オ',
+  ッ: 'ツ',
+  ャ: 'ヤ',
+  ュ: 'ユ',
+  ョ: 'ヨ',
+  ヮ: 'ワ',
+  ヵ: 'カ',
+  ヶ: 'ケ',
+}
+
+/**
+ * Removes corporate suffixes from the NFKC-normalized string.
+ */
+function removeCorporateSuffixes(value) {
+  return CORPORATE_SUFFIXES.reduce(
+    (result, suffix) => result.split(suffix.toLowerCase()).join(''),
+    value
+  )
+}
+
+/**
+ * Converts hiragana to katakana.
+ */
+function toKatakana(value) {
+  return value.replace(/[ぁ-ゖ]/g, (char) =>
+    String.fromCharCode(char.charCodeAt(0) + 0x60)
+  )
+}
+
+/**
+ * Normalizes the string for tokenization.
+ * @param {string} value
+ * @param {object} options { removeCorporateSuffix }
+ * @returns A normalized string.
+ */
+export function normalizeText(value, { removeCorporateSuffix = false } = {}) {
+  if (typeof value !== 'string') return ''
+  let result = value.normalize('NFKC').replace(/\s+/g, '').toLowerCase()
+  if (removeCorporateSuffix) result = removeCorporateSuffixes(result)
+  return toKatakana(result)
+    .replace(/[ァィゥェォッャュョヮヵヶ]/g, (char) => SMALL_KANA[char])
+    .replace(/ー/g, '')
+}
@@ -0,0 +1,46 @@
+/**
+ * notification.js
+ * (c) 2023 shisyamo4131
+ *
+ * Converts errors to notifications shown by the notifications store.
+ * (See store/notifications.js)
+ *
+ * { message, severity, actions }
+ *
+ * Errors of FireModel are shown with getMessage() in the current locale.
+ * Errors of Firebase are shown with the message of their code in the
+ * locale table, or a general message if no message is defined.
+ * ValidationError is a warning and the others are errors.
+ *
+ * ex.) this.$store.dispatch('notifications/notifyError', {
+ *        error: err,
+ *        retry: () => this.submit(),
+ *      })
+ */
+import { FireModelError, ValidationError } from './errors'
+import { MESSAGES, getLocale, translate } from './messages'
+
+/**
+ * Returns the message of the error for users.
+ */
+function getErrorMessage(err) {
+  if (err instanceof FireModelError) return err.getMessage()
+  const code = err?.code
+  if (code && MESSAGES[getLocale()]?.[code]) return translate(code)
+  return translate('unknown')
+}
+
+/**
+ * Converts the error to a notification.
+ * @param {*} err An error of FireModel, Firebase or others.
+ * @param {object} options { retry }
+ *                 retry A function called by the 'retry' action.
+ * @returns { message, severity, actions }
+ */
+export function toNotification(err, { retry } = {}) {
+  return {
+    message: getErrorMessage(err),
+    severity: err instanceof ValidationError ? 'warning' : 'error',
+    actions: retry ? [{ label: translate('retry'), handler: retry }] : [],
+  }
+}
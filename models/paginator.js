@@ -0,0 +1,239 @@
+/**
+ * paginator.js
+ * (c) 2023 shisyamo4131
+ *
+ * Provides cursor-based pagination for FireModel.
+ * Create a paginator with paginate() of FireModel.
+ *
+ * ----------------------------------------------------------------------------
+ *  HOW TO USE
+ * ----------------------------------------------------------------------------
+ * data() {
+ *   return {
+ *     paginator: new Customer(this.$firestore, this.$auth).paginate(
+ *       { orderBy: [['code', 'asc']] },
+ *       { pageSize: 20, withCount: true }
+ *     ),
+ *     options: {},
+ *   }
+ * },
+ * watch: {
+ *   options: {
+ *     handler(v) {
+ *       this.paginator.handleOptions(v)
+ *     },
+ *     deep: true,
+ *   },
+ * },
+ *
+ * <v-data-table
+ *   v-bind="paginator.tableProps"
+ *   :headers="headers"
+ *   :options.sync="options"
+ *   :footer-props="{ 'items-per-page-options': [10, 20, 50] }"
+ * />
+ *
+ * next() and prev() move between pages, and reset() returns to the first
+ * page. Changing constraints with setConstraints() also resets the pages.
+ * If withCount is true, total is counted with an aggregation query.
+ *
+ * NOTE: Firestore cannot jump to an arbitrary page with cursors.
+ *       goTo() loads pages one by one up to the specified page.
+ */
+import { loadRelations } from './relation'
+
+export default class Paginator {
+  #model
+  #constraints
+  #include
+  #includeDeleted
+  #group
+  #withCount
+  #cursors = []
+
+  /**
+   * CONSTRUCTOR
+   * @param {FireModel} model An instance of the model to be paginated.
+   * @param {object} options { constraints, pageSize, withCount, include, includeDeleted, group }
+   */
+  constructor(model, options = {}) {
+    const {
+      constraints = [],
+      pageSize = 20,
+      withCount = false,
+      include = [],
+      includeDeleted = false,
+      group = false,
+    } = options
+    this.#model = model
+    this.#constraints = constraints
+    this.#include = include
+    this.#includeDeleted = includeDeleted
+    this.#group = group
+    this.#withCount = withCount
+    this.items = []
+    this.page = 0
+    this.pageSize = pageSize
+    this.hasMore = true
+    this.total = null
+    this.loading = false
+    this.sortBy = []
+  }
+
+  /**
+   * Returns true if the previous page exists.
+   */
+  get hasPrev() {
+    return this.page > 1
+  }
+
+  /**
+   * Returns props to be bound to v-data-table with v-bind.
+   * If total is not counted, the number of items is estimated so that
+   * the next page can be selected while more items exist.
+   */
+  get tableProps() {
+    const loaded =
+      Math.max(this.page - 1, 0) * this.pageSize + this.items.length
+    return {
+      items: this.items,
+      loading: this.loading,
+      serverItemsLength: this.total ?? (this.hasMore ? loaded + 1 : loaded),
+    }
+  }
+
+  /**
+   * Changes the constraints and loads the first page.
+   * @param {array|object} constraints
+   */
+  async setConstraints(constraints) {
+    this.#constraints = constraints
+    await this.reset()
+  }
+
+  /**
+   * Clears loaded pages and loads the first page.
+   */
+  async reset() {
+    this.#cursors = []
+    this.page = 0
+    this.hasMore = true
+    this.total = null
+    await Promise.all([this.next(), this.#count()])
+  }
+
+  /**
+   * Loads the next page.
+   * @returns Items of the page.
+   */
+  async next() {
+    if (!this.hasMore) return this.items
+    return await this.#load(this.page + 1)
+  }
+
+  /**
+   * Loads the previous page.
+   * @returns Items of the page.
+   */
+  async prev() {
+    if (!this.hasPrev) return this.items
+    return await this.#load(this.page - 1)
+  }
+
+  /**
+   * Loads pages one by one up to the specified page.
+   * @param {number} page
+   * @returns Items of the page.
+   */
+  async goTo(page) {
+    if (page < 1) return this.items
+    if (page < this.page) return await this.#load(page)
+    while (this.page < page && this.hasMore) await this.next()
+    return this.items
+  }
+
+  /**
+   * Applies options of v-data-table (page, itemsPerPage, sortBy, sortDesc).
+   * Changes of itemsPerPage or sorting reset the pages.
+   * @param {object} options
+   */
+  async handleOptions({ page = 1, itemsPerPage, sortBy = [], sortDesc = [] }) {
+    const sort = sortBy.map((field, index) => [
+      field,
+      sortDesc[index] ? 'desc' : 'asc',
+    ])
+    const isSortChanged = JSON.stringify(sort) !== JSON.stringify(this.sortBy)
+    const isSizeChanged = itemsPerPage && itemsPerPage !== this.pageSize
+    if (isSortChanged || isSizeChanged || !this.page) {
+      this.sortBy = sort
+      if (itemsPerPage > 0) this.pageSize = itemsPerPage
+      await this.reset()
+    }
+    await this.goTo(page)
+  }
+
+  /**
+   * Returns the query without cursors.
+   */
+  #getQuery() {
+    const q = this.#model.getQuery(this.#constraints, {
+      includeDeleted: this.#includeDeleted,
+      group: this.#group,
+    })
+    if (!this.sortBy.length) return q
+    const { adapter } = this.#model
+    return adapter.query(
+      q,
+      ...this.sortBy.map(([field, direction]) =>
+        adapter.orderBy(field, direction)
+      )
+    )
+  }
+
+  /**
+   * Counts the total number of documents with an aggregation query.
+   */
+  async #count() {
+    if (!this.#withCount) return
+    const snapshot = await this.#model.adapter.getCountFromServer(
+      this.#getQuery()
+    )
+    this.total = snapshot.data().count
+  }
+
+  /**
+   * Loads the page.
+   * The last document of each page is kept as the cursor of the next page.
+   * @param {number} page
+   * @returns Items of the page.
+   */
+  async #load(page) {
+    this.loading = true
+    try {
+      const { adapter } = this.#model
+      const cursor = this.#cursors[page - 2]
+      const constraints = cursor
+        ? [adapter.startAfter(cursor), adapter.limit(this.pageSize + 1)]
+        : [adapter.limit(this.pageSize + 1)]
+      const snapshot = await adapter.getDocs(
+        adapter.query(this.#getQuery(), ...constraints)
+      )
+      const docs = snapshot.docs.slice(0, this.pageSize)
+      const items = docs.map((docSnap) => this.#model.fromSnapshot(docSnap))
+      await loadRelations(this.#model, items, this.#include)
+      if (docs.length) this.#cursors[page - 1] = docs[docs.length - 1]
+      this.items = items
+      this.page = page
+      this.hasMore = snapshot.docs.length > this.pageSize
+      return this.items
+    } catch (err) {
+      this.#model.sendConsole({
+        message: 'An error has occured at loading a page of Paginator.',
+        type: 'error',
+      })
+      throw err
+    } finally {
+      this.loading = false
+    }
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * registry.js
+ * (c) 2023 shisyamo4131
+ *
+ * Creates a registry of classes that extend FireModel.
+ * The registry has a factory for each class that returns a new instance
+ * bound to the given Firestore (or adapter) and Auth instances.
+ *
+ * ----------------------------------------------------------------------------
+ *  HOW TO USE
+ * ----------------------------------------------------------------------------
+ * const models = createRegistry({ Customer, Site }, { firestore, auth })
+ * const customer = models.Customer()
+ * const site = models.Site({ parent: customer })
+ *
+ * Classes are instantiated with (firestore, auth) in the same way as
+ * createInstance() of FireModel. The options of the factory are
+ * { parent } to handle subcollections.
+ *
+ * plugins/models.js discovers the classes under models/ and injects the
+ * registry as $models. (this.$models in components and stores)
+ */
+import FireModel from './FireModel'
+
+/**
+ * Returns true if the value is a class that extends FireModel.
+ */
+export function isModelClass(value) {
+  return typeof value === 'function' && value.prototype instanceof FireModel
+}
+
+/**
+ * Creates a registry of the classes.
+ * Values that are not classes extending FireModel are ignored.
+ * @param {object} classes An object whose keys are names of the classes.
+ * @param {object} instances { firestore, auth }
+ * @returns A frozen object that has a factory for each name.
+ */
+export function createRegistry(classes, { firestore, auth } = {}) {
+  const registry = {}
+  Object.entries(classes)
+    .filter(([, value]) => isModelClass(value))
+    .forEach(([name, Model]) => {
+      registry[name] = ({ parent = null } = {}) => {
+        const instance = new Model(firestore, auth)
+        if (parent) instance.parent = parent
+        return instance
+      }
+    })
+  return Object.freeze(registry)
+}
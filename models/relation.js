@@ -0,0 +1,186 @@
+/**
+ * relation.js
+ * (c) 2023 shisyamo4131
+ *
+ * Provides relation loading for FireModel.
+ * Relations are declared with belongsTo and hasMany of FireModel.
+ *
+ * belongsTo: [{ name, field, collection, model }]
+ *   Loads a document of the collection whose document id is the value of
+ *   the field. collection can be omitted if model is specified.
+ *
+ * hasMany: [{ name, collection, field, condition, type, model }]
+ *   Loads documents of the collection (or the collection group if type is
+ *   'subcollection') whose field matches the document id with condition.
+ *   The collection of type 'collection' is resolved under the parent of
+ *   the model. (See resolvePath() of FireModel)
+ *   name and model are optional and are required only for loading.
+ *
+ * model is a class that extends FireModel. If it is omitted, related
+ * documents are loaded as instances of FireModel.
+ *
+ * Loaded instances are set to the relations property with their names.
+ * ex.) const sites = await site.fetchDocs([], { include: ['customer'] })
+ *      sites[0].relations.customer // An instance of Customer.
+ *
+ * Related documents are fetched with batched 'in' queries, so loading
+ * relations for many instances does not query for each instance.
+ */
+import FireModel from './FireModel'
+
+/**
+ * Maximum number of values of 'in' and 'array-contains-any' queries.
+ */
+const MAX_IN_VALUES = 10
+
+/**
+ * Splits the array into chunks of the specified size.
+ */
+function chunk(array, size) {
+  const result = []
+  for (let i = 0; i < array.length; i += size) {
+    result.push(array.slice(i, i + size))
+  }
+  return result
+}
+
+/**
+ * Returns an instance of FireModel to be the base of related instances.
+ * @param {FireModel} model The model that declares the relation.
+ * @param {object} relation
+ * @returns An instance of the related model.
+ */
+function getRelatedModel(model, relation) {
+  const { model: RelatedModel, collection: colName } = relation
+  if (RelatedModel) return new RelatedModel(model.adapter, model.auth)
+  return new FireModel(model.adapter, colName, model.auth)
+}
+
+/**
+ * Converts the document snapshots to instances of the related model.
+ */
+function toInstances(related, docs) {
+  return docs.map((docSnap) => related.fromSnapshot(docSnap))
+}
+
+/**
+ * Returns a query for the documents of the hasMany relation.
+ */
+function getChildQuery(model, relation, values) {
+  const { adapter } = model
+  const { type, collection: colName, field, condition } = relation
+  const colRef =
+    type === 'collection'
+      ? adapter.collection(model.resolvePath(colName))
+      : adapter.collectionGroup(colName)
+  const operator = condition === '==' ? 'in' : 'array-contains-any'
+  return adapter.query(colRef, adapter.where(field, operator, values))
+}
+
+/**
+ * Loads the belongsTo relation for the instances.
+ */
+async function loadBelongsTo(model, instances, relation) {
+  const { name, field } = relation
+  const related = getRelatedModel(model, relation)
+  const ids = [
+    ...new Set(instances.map((instance) => instance[field]).filter(Boolean)),
+  ]
+  const { adapter } = model
+  const colRef = adapter.collection(related.collection)
+  const snapshots = await Promise.all(
+    chunk(ids, MAX_IN_VALUES).map((values) =>
+      adapter.getDocs(
+        adapter.query(colRef, adapter.where(adapter.documentId(), 'in', values))
+      )
+    )
+  )
+  const map = new Map()
+  snapshots.forEach((snapshot) => {
+    snapshot.docs.forEach((docSnap) => {
+      map.set(docSnap.id, toInstances(related, [docSnap])[0])
+    })
+  })
+  instances.forEach((instance) => {
+    instance.relations[name] = map.get(instance[field]) || null
+  })
+}
+
+/**
+ * Loads the hasMany relation for the instances.
+ */
+async function loadHasMany(model, instances, relation) {
+  const { name, field, condition } = relation
+  const related = getRelatedModel(model, relation)
+  const ids = [...new Set(instances.map(({ docId }) => docId).filter(Boolean))]
+  const snapshots = await Promise.all(
+    chunk(ids, MAX_IN_VALUES).map((values) =>
+      model.adapter.getDocs(getChildQuery(model, relation, values))
+    )
+  )
+  const children = toInstances(
+    related,
+    snapshots.flatMap((snapshot) => snapshot.docs)
+  )
+  instances.forEach((instance) => {
+    instance.relations[name] = children.filter((child) =>
+      condition === '=='
+        ? child[field] === instance.docId
+        : (child[field] || []).includes(instance.docId)
+    )
+  })
+}
+
+/**
+ * Loads the relations specified in include for the instances.
+ * @param {FireModel} model The model that declares the relations.
+ * @param {array} instances Instances of the model.
+ * @param {array} include Names of the relations to be loaded.
+ */
+export async function loadRelations(model, instances, include = []) {
+  if (!include.length || !instances.length) return
+  await Promise.all(
+    include.map((name) => {
+      const belongsTo = model.belongsTo.find((item) => item.name === name)
+      if (belongsTo) return loadBelongsTo(model, instances, belongsTo)
+      const hasMany = model.hasMany.find((item) => item.name === name)
+      if (hasMany) return loadHasMany(model, instances, hasMany)
+      throw new Error(
+        `[relation.js] The relation named ${name} is not declared in the ${model.collection} collection.`
+      )
+    })
+  )
+}
+
+/**
+ * Fetches the documents that depend on the instance for each hasMany relation.
+ * @param {FireModel} model An instance that has docId.
+ * @param {object} options { limit } The maximum number of documents to fetch for each relation.
+ * @returns An array of { collection, field, condition, type, name, count, docs }.
+ *          Relations that have no dependent documents are not included.
+ */
+export async function fetchDependents(model, { limit = 10 } = {}) {
+  const { adapter } = model
+  const result = []
+  for (const relation of model.hasMany) {
+    const q = getChildQuery(model, relation, [model.docId])
+    const countSnap = await adapter.getCountFromServer(q)
+    const count = countSnap.data().count
+    if (!count) continue
+    const snapshot = await adapter.getDocs(
+      adapter.query(q, adapter.limit(limit))
+    )
+    const related = getRelatedModel(model, relation)
+    const { collection: colName, field, condition, type, name } = relation
+    result.push({
+      collection: colName,
+      field,
+      condition,
+      type,
+      name: name || null,
+      count,
+      docs: toInstances(related, snapshot.docs),
+    })
+  }
+  return result
+}
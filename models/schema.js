@@ -0,0 +1,247 @@
+/**
+ * schema.js
+ * (c) 2023 shisyamo4131
+ *
+ * Provides default values, type coercion and validation for FireModel
+ * based on the static schema declared in classes that extend FireModel.
+ *
+ * ----------------------------------------------------------------------------
+ *  HOW TO USE
+ * ----------------------------------------------------------------------------
+ * class Customer extends FireModel {
+ *   static schema = {
+ *     code: { type: String, required: true, pattern: /^\d{4}$/ },
+ *     name: { type: String, required: true, max: 50 },
+ *     rank: { type: String, default: 'A', enum: ['A', 'B', 'C'] },
+ *     price: { type: Number, min: 0 },
+ *     birth: { type: Date },
+ *     address: {
+ *       type: Object,
+ *       schema: { zipcode: { type: String }, city: { type: String } },
+ *     },
+ *     tags: { type: Array, items: { type: String } },
+ *     remarks: { type: String, validator: (v, item) => v !== 'NG' || 'NG is not allowed.' },
+ *   }
+ * }
+ *
+ * type is one of String, Number, Boolean, Date, Object and Array.
+ * If default is not specified, '' for String, false for Boolean, [] for Array,
+ * the default values of the nested schema (or {}) for Object and null for
+ * the others are used. Use a function to return a default value of
+ * Object or Array.
+ * min and max are compared with the value for Number, and with the length
+ * for String and Array.
+ * validator returns true if valid, or false or an error message if not.
+ * Error messages are translated into the current locale with codes like
+ * 'schema/required'. (See models/messages.js)
+ */
+
+import { translate } from './messages'
+
+/**
+ * Returns true if the value is a plain object.
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]'
+    ? [Object.prototype, null].includes(Object.getPrototypeOf(value))
+    : false
+}
+
+/**
+ * Returns true if the value is empty for required validation.
+ */
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') return true
+  if (Array.isArray(value)) return !value.length
+  return false
+}
+
+/**
+ * Copies the value deeply.
+ * Unlike JSON.parse(JSON.stringify()), Dates, undefined values and
+ * instances of classes such as Firestore Timestamps are kept.
+ * @param {*} value
+ * @returns A copied value.
+ */
+export function clone(value) {
+  if (Array.isArray(value)) return value.map((item) => clone(item))
+  if (value instanceof Date) return new Date(value.getTime())
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    )
+  }
+  return value
+}
+
+/**
+ * Converts the value to a Date object.
+ * Firestore Timestamps, numbers (milliseconds) and strings are accepted.
+ * @param {*} value
+ * @returns A Date object or null.
+ */
+export function toDate(value) {
+  if (value === undefined || value === null || value === '') return null
+  if (value instanceof Date) return new Date(value.getTime())
+  if (typeof value.toDate === 'function') return value.toDate()
+  const result = new Date(value)
+  return isNaN(result.getTime()) ? null : result
+}
+
+/**
+ * Returns the default value of the field definition.
+ * @param {object} definition
+ * @returns A default value.
+ */
+export function getDefault(definition) {
+  const { type, default: defaultValue, schema } = definition
+  if (defaultValue !== undefined) {
+    return typeof defaultValue === 'function'
+      ? defaultValue()
+      : clone(defaultValue)
+  }
+  if (type === String) return ''
+  if (type === Boolean) return false
+  if (type === Array) return []
+  if (type === Object) return schema ? getDefaults(schema) : {}
+  return null
+}
+
+/**
+ * Returns an object that holds the default values of all fields.
+ * @param {object} schema
+ * @returns An object.
+ */
+export function getDefaults(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, definition]) => [
+      key,
+      getDefault(definition),
+    ])
+  )
+}
+
+/**
+ * Converts the value to the type of the field definition.
+ * @param {object} definition
+ * @param {*} value
+ * @returns A converted value.
+ */
+export function coerce(definition, value) {
+  const { type, schema, items } = definition
+  if (value === undefined) return getDefault(definition)
+  if (value === null) return null
+  if (type === String) return String(value)
+  if (type === Number) return value === '' ? null : Number(value)
+  if (type === Boolean) return Boolean(value)
+  if (type === Date) return toDate(value)
+  if (type === Array) {
+    if (!Array.isArray(value)) return getDefault(definition)
+    return value.map((item) => (items ? coerce(items, item) : clone(item)))
+  }
+  if (type === Object && schema) {
+    if (!isPlainObject(value)) return getDefault(definition)
+    return { ...clone(value), ...coerceAll(schema, value) }
+  }
+  return clone(value)
+}
+
+/**
+ * Converts all fields defined in the schema.
+ * Fields that do not exist in the item are set to their default values.
+ * @param {object} schema
+ * @param {object} item
+ * @returns An object.
+ */
+export function coerceAll(schema, item = {}) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, definition]) => [
+      key,
+      coerce(definition, item[key]),
+    ])
+  )
+}
+
+/**
+ * Returns true if the value is of the type of the field definition.
+ */
+function isTypeOf(type, value) {
+  if (type === String) return typeof value === 'string'
+  if (type === Number) return typeof value === 'number' && !isNaN(value)
+  if (type === Boolean) return typeof value === 'boolean'
+  if (type === Date) return value instanceof Date && !isNaN(value.getTime())
+  if (type === Array) return Array.isArray(value)
+  if (type === Object) return isPlainObject(value)
+  return true
+}
+
+/**
+ * Validates the value of a field.
+ * @param {string} field
+ * @param {object} definition
+ * @param {*} value
+ * @param {object} item The object to which the field belongs.
+ * @returns An array of error messages.
+ */
+function validateField(field, definition, value, item) {
+  const { type, required, min, max, pattern, validator } = definition
+  const message = (code, details = {}) =>
+    translate(`schema/${code}`, { field, ...details })
+  if (isEmpty(value)) return required ? [message('required')] : []
+  if (type && !isTypeOf(type, value)) {
+    return [message('type', { type: type.name })]
+  }
+  const result = []
+  const isLength = typeof value === 'string' || Array.isArray(value)
+  const size = isLength ? value.length : value
+  if (min !== undefined && size < min) {
+    result.push(message(isLength ? 'min-length' : 'min', { min }))
+  }
+  if (max !== undefined && size > max) {
+    result.push(message(isLength ? 'max-length' : 'max', { max }))
+  }
+  if (pattern && typeof value === 'string' && !pattern.test(value)) {
+    result.push(message('pattern'))
+  }
+  if (definition.enum && !definition.enum.includes(value)) {
+    result.push(message('enum', { values: definition.enum.join(', ') }))
+  }
+  if (validator) {
+    const valid = validator(value, item)
+    if (valid !== true) {
+      result.push(typeof valid === 'string' ? valid : message('invalid'))
+    }
+  }
+  return result
+}
+
+/**
+ * Validates the item with the schema.
+ * Nested schemas are validated with field names joined by dots.
+ * @param {object} schema
+ * @param {object} item
+ * @param {string} prefix
+ * @returns An object that holds error messages for each field.
+ *          An empty object is returned if the item is valid.
+ */
+export function validate(schema, item = {}, prefix = '') {
+  const result = {}
+  Object.entries(schema).forEach(([key, definition]) => {
+    const field = `${prefix}${key}`
+    const value = item[key]
+    const messages = validateField(field, definition, value, item)
+    if (messages.length) result[field] = messages
+    if (messages.length || isEmpty(value)) return
+    if (definition.type === Object && definition.schema) {
+      Object.assign(result, validate(definition.schema, value, `${field}.`))
+    }
+    if (definition.type === Array && definition.items) {
+      value.forEach((element, index) => {
+        const name = `${field}.${index}`
+        const errors = validateField(name, definition.items, element, value)
+        if (errors.length) result[name] = errors
+      })
+    }
+  })
+  return result
+}
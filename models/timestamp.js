@@ -0,0 +1,54 @@
+/**
+ * timestamp.js
+ * (c) 2023 shisyamo4131
+ *
+ * Provides formatting of the timestamps written by FireModel.
+ * FireModel writes createAt, updateAt and deleteAt with serverTimestamp(),
+ * and they are read as Firestore Timestamps.
+ * Documents written by former versions have these fields as numbers
+ * (milliseconds), so both are accepted when reading.
+ * Those numbers were shifted by the timezone offset of the browser that wrote
+ * them (9 hours earlier in JST), so the offset of the timezone is added back
+ * when they are formatted, assuming they were written in the timezone.
+ *
+ * The timezone is the default timezone of dayjs, which is configured with
+ * 'timezone' of the env file. (See plugins/dayjs.js)
+ *
+ * NOTE: Firestore sorts numbers before Timestamps. Queries ordered by these
+ *       fields return documents written by former versions first.
+ */
+import dayjs from 'dayjs'
+import { toDate } from './schema'
+
+dayjs.extend(require('dayjs/plugin/utc'))
+dayjs.extend(require('dayjs/plugin/timezone'))
+
+export const DEFAULT_FORMAT = 'YYYY-MM-DD HH:mm:ss'
+
+/**
+ * Converts a number written by former versions to a Date.
+ * @param {number} value getTime() of a Date shifted by the timezone offset.
+ * @param {string} timezone The timezone in which the number was written.
+ *                          The default timezone of dayjs is used if omitted.
+ * @returns A Date object.
+ */
+export function fromLegacyTime(value, timezone) {
+  const offset = dayjs(value).tz(timezone).utcOffset()
+  return new Date(value + offset * 60 * 1000)
+}
+
+/**
+ * Formats the timestamp as a string in the timezone.
+ * @param {*} value A Firestore Timestamp, a Date or a number written by
+ *                  former versions.
+ * @param {string} format A format string of dayjs.
+ * @param {string} timezone A timezone like 'Asia/Tokyo'. The default timezone
+ *                          of dayjs is used if omitted.
+ * @returns A formatted string, or an empty string if the value is empty.
+ */
+export function formatTimestamp(value, format = DEFAULT_FORMAT, timezone) {
+  const date =
+    typeof value === 'number' ? fromLegacyTime(value, timezone) : toDate(value)
+  if (!date) return ''
+  return dayjs(date).tz(timezone).format(format)
+}
@@ -39,7 +39,11 @@ export default {
     './plugins/air-vuetify.js',
     './plugins/dayjs.js',
     './plugins/firebase.js',
+    './plugins/logger.js',
+    './plugins/models.js',
     './plugins/firebase.auth.js',
+    './plugins/firemodel.listener.js',
+    './plugins/masters.js',
   ],
 
   // Auto import components: https://go.nuxtjs.dev/config-components
@@ -120,6 +124,9 @@ export default {
     messagingSenderId: envSettings.messagingSenderId,
     appId: envSettings.appId,
     vapidKey: envSettings.vapidKey,
+    timezone: envSettings.timezone || 'Asia/Tokyo',
+    logLevel: envSettings.logLevel,
+    errorLog: envSettings.errorLog,
   },
 
   // For transition.
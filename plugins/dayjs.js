@@ -10,10 +10,9 @@ import isBetween from 'dayjs/plugin/isBetween'
 import isSameOrAfter from 'dayjs/plugin/isSameOrAfter'
 import isSameOrBefore from 'dayjs/plugin/isSameOrBefore'
 import toArray from 'dayjs/plugin/toArray'
-// Change timezone to Asis/Tokyo.
+// Timezone is configured with 'timezone' of the env file. (Default is Asia/Tokyo)
 dayjs.extend(require('dayjs/plugin/timezone'))
 dayjs.extend(require('dayjs/plugin/utc'))
-dayjs.tz.setDefault('Asia/Tokyo')
 
 // Change start of week to monday.
 // dayjs.extend(require('dayjs/plugin/updateLocale'))
@@ -26,5 +25,6 @@ dayjs.extend(isSameOrBefore)
 dayjs.extend(toArray)
 
 export default (context, inject) => {
+  dayjs.tz.setDefault(context.$config.timezone || 'Asia/Tokyo')
   inject('dayjs', (string) => dayjs(string))
 }
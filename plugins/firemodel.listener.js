@@ -0,0 +1,18 @@
+/**
+ * ### firemodel.listener
+ * コンポーネントのdataに保持されたFireModelのインスタンスについて、
+ * コンポーネントの破棄時にリアルタイムリスナーを自動的に解除します。
+ * subscribe()やsubscribeDocs()を利用したコンポーネントで、
+ * 個別にunsubscribe()を呼び出す必要はありません。
+ * @author shisyamo4131
+ */
+import Vue from 'vue'
+import FireModel from '~/models/FireModel'
+
+Vue.mixin({
+  beforeDestroy() {
+    Object.values(this.$data || {}).forEach((value) => {
+      if (value instanceof FireModel) value.unsubscribe()
+    })
+  },
+})
@@ -0,0 +1,27 @@
+/**
+ * ### logger
+ * FireModelのloggerを環境（NODE_ENV）に応じて設定します。
+ * レベルはenvファイルの'logLevel'で変更できます。（既定値は models/logger.js を参照）
+ * 'errorLog'に'firestore'または'database'を指定すると、エラーをLogsに書き込みます。
+ * prod環境では'errorLog'を指定しない場合、'firestore'が使用されます。
+ * Logsへの書き込みを許可するセキュリティルールを設定してください。
+ * @author shisyamo4131
+ */
+import {
+  configureLogger,
+  createConsoleSink,
+  createDatabaseSink,
+  createFirestoreSink,
+  getDefaultOptions,
+} from '~/models/logger'
+
+export default (context) => {
+  const env = process.env.NODE_ENV
+  const defaults = getDefaultOptions(env)
+  const { logLevel, errorLog } = context.$config
+  const sink = errorLog ?? (env === 'prod' ? 'firestore' : false)
+  const sinks = [createConsoleSink()]
+  if (sink === 'firestore') sinks.push(createFirestoreSink(context.$firestore))
+  if (sink === 'database') sinks.push(createDatabaseSink(context.$database))
+  configureLogger({ level: logLevel || defaults.level, sinks })
+}
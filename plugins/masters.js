@@ -0,0 +1,22 @@
+/**
+ * ### masters
+ * ページ（コンポーネント）のmastersオプションに宣言されたマスタについて、
+ * 表示時に購読を要求し（masters/acquire）、破棄時に解除を要求します（masters/release）。
+ * 購読は参照カウントで管理され、使用するページがなくなったlazyのマスタは解除されます。
+ * ex.) export default { masters: ['Customers', 'Sites'] }
+ * @author shisyamo4131
+ */
+import Vue from 'vue'
+
+Vue.mixin({
+  created() {
+    const { masters } = this.$options
+    if (!masters || !this.$store) return
+    this.$store.dispatch('masters/acquire', masters)
+  },
+  beforeDestroy() {
+    const { masters } = this.$options
+    if (!masters || !this.$store) return
+    this.$store.dispatch('masters/release', masters)
+  },
+})
@@ -0,0 +1,29 @@
+/**
+ * ### models
+ * models/ディレクトリにあるFireModelの継承クラスを自動的に登録し、
+ * インスタンスを生成するファクトリを$modelsとしてinjectします。
+ * 生成されるインスタンスには plugins/firebase.js の$firestoreと$authが渡されます。
+ * ファイル名がパスカルケース（Customer.jsなど）のファイルが対象で、
+ * default exportがFireModelを継承したクラスであるもののみ登録されます。
+ * コンポーネントとVuexのアクションからはthis.$modelsで利用できます。
+ * ex.) const customer = this.$models.Customer()
+ *      const site = this.$models.Site({ parent: customer })
+ * @author shisyamo4131
+ */
+import { createRegistry } from '~/models/registry'
+
+export default (context, inject) => {
+  const files = require.context('~/models', false, /^\.\/[A-Z]\w*\.js$/)
+  const classes = Object.fromEntries(
+    files
+      .keys()
+      .map((key) => [key.replace(/^\.\/(\w+)\.js$/, '$1'), files(key).default])
+  )
+  inject(
+    'models',
+    createRegistry(classes, {
+      firestore: context.app.$firestore,
+      auth: context.app.$auth,
+    })
+  )
+}
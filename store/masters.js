@@ -1,54 +1,396 @@
 /**
  * ### マスタデータ用Vuex
  *
+ * MASTERSに宣言したコレクションについて、state、リスナー、getterを生成します。
+ * マスタを追加する場合はMASTERSに設定を追加してください。
+ *
+ * { collection, constraints, sortBy, sortDesc, key, model, lazy, cache }
+ * collection  コレクション名です。（必須）
+ * constraints 読み込むドキュメントの条件です。FireModelのクエリと同じ形式です。
+ * sortBy      一覧（list）を並べ替えるフィールドです。
+ * sortDesc    trueの場合、一覧を降順に並べ替えます。
+ * key         docId以外でドキュメントを特定するフィールドです。（codeなど）
+ * model       FireModelの継承クラス、または$modelsに登録された名前です。
+ *             指定するとクエリの生成（論理削除の除外など）にモデルが使用されます。
+ * lazy        trueの場合、サインイン時には購読せず、必要とするページがある間だけ購読します。
+ * cache       trueの場合、IndexedDBにキャッシュします。falseの場合はキャッシュしません。
+ *             省略した場合、モデルのsoftDeleteが有効なマスタのみキャッシュします。
+ *
+ * マスタデータはユーザーごとにIndexedDBにキャッシュされます。（models/cache.js を参照）
+ * 購読の開始時にキャッシュを読み込み、updateAtがキャッシュより新しいドキュメントのみを
+ * 読み込みます。キャッシュはサインアウト時、ユーザーが変わった時に削除されます。
+ * ###### NOTE
+ * 差分同期ではハードデリート（物理削除）されたドキュメントを検知できないため、
+ * 既定ではsoftDeleteが有効なモデルのマスタのみキャッシュします。
+ * cacheをtrueにする場合は、ドキュメントを物理削除しないことを確認してください。
+ * また、constraintsを指定したマスタは条件から外れたドキュメントを検知できないため、
+ * キャッシュを表示した後に全件を読み込みます。
+ *
+ * ページ（コンポーネント）はmastersオプションで必要なマスタを宣言できます。
+ * 宣言されたマスタは表示時に購読され、使用するページがなくなると解除されます。
+ * （参照カウント。plugins/masters.js を参照）
+ * ex.) export default { masters: ['Customers'] }
+ *
+ * #### GETTERS
+ * list(collection)            sortByで並べ替えたドキュメントの配列を返します。
+ * get(collection, docId)      docIdに一致するドキュメントを返します。
+ * getByKey(collection, value) keyに指定したフィールドの値が一致するドキュメントを返します。
+ * getBy(collection, field, value)
+ *                             任意のフィールドの値が一致する最初のドキュメントを返します。
+ * isReady(collection)         最初のスナップショットを受信済みであればtrueを返します。
+ * isLoading(collection)       最初のスナップショットを待っていればtrueを返します。
+ * error(collection)           リスナーで発生したエラーを返します。
+ * 読み込みが完了する前でも、一覧は空の配列、ドキュメントはundefinedを返します。
+ * ex.) this.$store.getters['masters/get']('Customers', docId)
+ *
  * #### ACTIONS
+ * ##### register
+ * マスタを実行時に追加します。引数はMASTERSの設定（または配列）です。
+ * サインイン中の場合、追加したマスタ（lazyを除く）の購読も開始します。
+ *
  * ##### subscribe
  * 各種マスタデータのリアルタイムリスナーをセットします。
- * 全てのマスタデータへのリスナーがセットされるとpromiseを返します。
- * ###### NOTE
- * onSnapshotによる読み込みの前にコンポーネントからの参照が発生するとエラーになる。
- * Read件数が倍増してしまうが、一旦、getDocsで全件を読み込み、その後にリスナーをセットする。
+ * 引数にコレクション名の配列を指定すると、それらのマスタのみを購読します。
+ * 省略した場合はサインイン時の購読として、lazyでないマスタと、
+ * ページから要求されているマスタを購読します。
+ * 全てのリスナーが最初のスナップショットを受信する（またはエラーになる）とpromiseを返します。
+ * 初回の読み込みもonSnapshotで行うため、getDocsによる重複したReadは発生しません。
+ * コレクションごとの状態はstatus（'idle'、'loading'、'ready'、'error'）で管理されます。
+ * リスナーでエラー（権限がない場合など）が発生した場合、errorsに格納し、
+ * 状態を'error'にしてリスナーを解除します。
+ * エラーは「再試行」ボタン付きで通知されます。（store/notifications.js を参照）
  *
  * ##### unsubscribe
  * 各種マスタデータのリアルタイムリスナーを解除し、Vuexで管理している
  * マスタデータを初期化します。
+ * 引数にコレクション名の配列を指定すると、それらのマスタのみを解除します。
+ * 省略した場合はサインアウト時の解除として、すべてのマスタを解除し、キャッシュを削除します。
  * 処理がすべて終わるとpromiseを返します。
  *
+ * ##### acquire / release
+ * マスタの参照カウントを増減します。サインイン中であれば、acquireで購読を開始し、
+ * releaseで参照がなくなったlazyのマスタの購読を解除します。
+ * ページ遷移（transitionのmode: 'out-in'）では次のページのcreatedより先に
+ * 前のページのbeforeDestroyが実行されるため、解除はRELEASE_DELAYミリ秒後に行い、
+ * それまでにacquireされた場合は解除しません。
+ *
  * @author shisyamo4131
  */
-import { collection, getDocs, onSnapshot } from 'firebase/firestore'
+import Vue from 'vue'
+import FireModel from '~/models/FireModel'
+import { toFireModelError } from '~/models/errors'
+import { createMasterCache } from '~/models/cache'
+
+/******************************************************************
+ * MASTERS
+ ******************************************************************/
+const MASTERS = [
+  // {
+  //   collection: 'Customers',
+  //   constraints: { where: [['status', '==', 'active']] },
+  //   sortBy: 'code',
+  //   key: 'code',
+  //   model: 'Customer',
+  // },
+]
+
+const cache = createMasterCache()
+
+/**
+ * 参照がなくなったlazyのマスタの購読を解除するまでの時間（ミリ秒）です。
+ */
+const RELEASE_DELAY = 3000
+
+/**
+ * 解除を待っているマスタのタイマーです。
+ */
+const releaseTimers = new Map()
+
+/**
+ * 解除を待っているマスタのタイマーを取り消します。
+ */
+function cancelRelease(collection) {
+  if (!releaseTimers.has(collection)) return
+  clearTimeout(releaseTimers.get(collection))
+  releaseTimers.delete(collection)
+}
+
+/**
+ * 設定に既定値を補完して返します。
+ */
+function toConfig(config) {
+  if (!config?.collection) {
+    throw new TypeError(
+      `[masters.js] Parameter 'collection' must be specified.`
+    )
+  }
+  return {
+    constraints: [],
+    sortBy: null,
+    sortDesc: false,
+    key: null,
+    model: null,
+    lazy: false,
+    cache: null,
+    ...config,
+  }
+}
+
+/**
+ * 引数をコレクション名の配列にして返します。
+ */
+function toCollections(payload) {
+  if (!payload) return []
+  return Array.isArray(payload) ? payload : [payload]
+}
+
+/**
+ * 一覧の並べ替えに使用する比較関数です。
+ * 値がない（nullまたはundefined）ドキュメントは末尾になります。
+ */
+function compare(a, b) {
+  if (a == null && b == null) return 0
+  if (a == null) return 1
+  if (b == null) return -1
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b, 'ja')
+  }
+  if (a < b) return -1
+  if (a > b) return 1
+  return 0
+}
+
+/**
+ * 設定に応じたFireModelのインスタンスを返します。
+ * modelが指定されていない場合、FireModelのインスタンスを返します。
+ */
+function getModel(store, { collection, model: Model }) {
+  if (typeof Model === 'string') return store.$models[Model]()
+  if (Model) return new Model(store.$firestore, store.$auth)
+  return new FireModel(store.$firestore, collection, store.$auth)
+}
+
+/**
+ * ドキュメントのスナップショットから、Vuexに格納するデータを返します。
+ */
+function toData(docSnap) {
+  return { ...docSnap.data(), docId: docSnap.id }
+}
+
+/**
+ * クエリ条件が指定されていればtrueを返します。
+ */
+function hasConstraints(constraints) {
+  if (Array.isArray(constraints)) return constraints.length > 0
+  return Object.values(constraints || {}).some((value) =>
+    Array.isArray(value) ? value.length > 0 : value != null
+  )
+}
+
+/**
+ * マスタのリアルタイムリスナーをセットします。
+ * キャッシュがあれば先に格納し、updateAtがキャッシュより新しいドキュメントのみを
+ * 購読します（差分同期）。キャッシュがなければ最初のスナップショットで全件を格納します。
+ * 最初のスナップショットを受信するとresolveし、それまでにエラーが発生するとrejectします。
+ * 以降に発生したエラーはコンソールに出力し、通知します。
+ */
+async function listen(store, { state, commit }, config, uid) {
+  const { collection } = config
+  commit('setStatus', { collection, status: 'loading' })
+  const model = getModel(store, config)
+  const useCache = (config.cache ?? model.softDelete) && !!uid
+  const cached = useCache
+    ? await cache.load(uid, collection).catch(() => null)
+    : null
+  // キャッシュの読み込み中に解除された場合は購読しません。
+  if (state.status[collection] !== 'loading') return
+  if (cached) commit('setMasters', { collection, items: cached.items })
+  const isDelta = !!cached?.highWater && !hasConstraints(config.constraints)
+  const q = isDelta
+    ? model.getQuery(
+        [model.adapter.where('updateAt', '>', new Date(cached.highWater))],
+        { includeDeleted: true }
+      )
+    : model.getQuery(config.constraints)
+  return new Promise((resolve, reject) => {
+    let isFirst = true
+    const listener = model.adapter.onSnapshot(
+      q,
+      (snapshot) => {
+        if (isFirst && !isDelta) {
+          const items = snapshot.docs.map(toData)
+          commit('setMasters', { collection, items })
+        } else {
+          snapshot.docChanges().forEach((change) => {
+            const data = toData(change.doc)
+            if (change.type === 'removed' || data.isDeleted) {
+              commit('removeMaster', { collection, data })
+            } else {
+              commit('addMaster', { collection, data })
+            }
+          })
+        }
+        if (useCache) {
+          cache.save(uid, collection, state.items[collection]).catch(() => {})
+        }
+        if (!isFirst) return
+        isFirst = false
+        commit('setStatus', { collection, status: 'ready' })
+        resolve()
+      },
+      (err) => {
+        const error = toFireModelError(err, { collection })
+        commit('setStatus', { collection, status: 'error', error })
+        if (isFirst) return reject(error)
+        // eslint-disable-next-line
+        console.error(error)
+        store.dispatch('notifications/notifyError', {
+          error,
+          retry: () => store.dispatch('masters/subscribe', [collection]),
+        })
+      }
+    )
+    // 最初のスナップショットより前に解除された場合もresolveします。
+    commit('addListener', {
+      collection,
+      listener: () => {
+        listener()
+        resolve()
+      },
+    })
+  })
+}
 
 /******************************************************************
  * STATE
  ******************************************************************/
 export const state = () => ({
-  // Customers: [],
-  listeners: {
-    // Customers: null,
-  },
+  configs: Object.fromEntries(
+    MASTERS.map(toConfig).map((config) => [config.collection, config])
+  ),
+  items: Object.fromEntries(MASTERS.map(({ collection }) => [collection, []])),
+  listeners: Object.fromEntries(
+    MASTERS.map(({ collection }) => [collection, null])
+  ),
+  status: Object.fromEntries(
+    MASTERS.map(({ collection }) => [collection, 'idle'])
+  ),
+  errors: Object.fromEntries(
+    MASTERS.map(({ collection }) => [collection, null])
+  ),
+  refs: Object.fromEntries(MASTERS.map(({ collection }) => [collection, 0])),
+  // Whether masters are subscribed since the user has signed in.
+  isActive: false,
 })
 /******************************************************************
  * GETTERS
  ******************************************************************/
 export const getters = {
-  // Customer: (state) => (payload) => {
-  //   return state.Customers.find(({ docId }) => docId === payload)
-  // },
+  // Returns the names of registered collections.
+  collections(state) {
+    return Object.keys(state.configs)
+  },
+  // Returns arrays of documents sorted by sortBy for each collection.
+  lists(state) {
+    return Object.fromEntries(
+      Object.entries(state.configs).map(([collection, config]) => {
+        const items = [...state.items[collection]]
+        const { sortBy, sortDesc } = config
+        if (sortBy) {
+          items.sort(
+            (a, b) => compare(a[sortBy], b[sortBy]) * (sortDesc ? -1 : 1)
+          )
+        }
+        return [collection, items]
+      })
+    )
+  },
+  // Returns Maps of documents by docId and by key for each collection.
+  indexes(state) {
+    return Object.fromEntries(
+      Object.entries(state.configs).map(([collection, { key }]) => {
+        const items = state.items[collection]
+        return [
+          collection,
+          {
+            docId: new Map(items.map((item) => [item.docId, item])),
+            key: new Map(key ? items.map((item) => [item[key], item]) : []),
+          },
+        ]
+      })
+    )
+  },
+  list: (_, getters) => (collection) => {
+    return getters.lists[collection] || []
+  },
+  get: (_, getters) => (collection, docId) => {
+    return getters.indexes[collection]?.docId.get(docId)
+  },
+  getByKey: (_, getters) => (collection, value) => {
+    return getters.indexes[collection]?.key.get(value)
+  },
+  getBy: (state) => (collection, field, value) => {
+    return (state.items[collection] || []).find((item) => item[field] === value)
+  },
+  isReady: (state) => (collection) => {
+    return state.status[collection] === 'ready'
+  },
+  isLoading: (state) => (collection) => {
+    return state.status[collection] === 'loading'
+  },
+  error: (state) => (collection) => {
+    return state.errors[collection] || null
+  },
 }
 /******************************************************************
  * MUTATIONS
  ******************************************************************/
 export const mutations = {
+  registerMaster(state, config) {
+    const { collection } = config
+    Vue.set(state.configs, collection, config)
+    if (!(collection in state.items)) Vue.set(state.items, collection, [])
+    if (!(collection in state.listeners)) {
+      Vue.set(state.listeners, collection, null)
+      Vue.set(state.status, collection, 'idle')
+      Vue.set(state.errors, collection, null)
+      Vue.set(state.refs, collection, 0)
+    }
+  },
+  setActive(state, isActive) {
+    state.isActive = isActive
+  },
+  addRef(state, collection) {
+    if (!(collection in state.refs)) {
+      // eslint-disable-next-line
+      console.error(`[Vuex] The ${collection} collection does not exist.`)
+      return
+    }
+    state.refs[collection]++
+  },
+  removeRef(state, collection) {
+    if (!state.refs[collection]) return
+    state.refs[collection]--
+  },
+  setMasters(state, { collection, items }) {
+    state.items[collection].splice(0, state.items[collection].length, ...items)
+  },
+  setStatus(state, { collection, status, error = null }) {
+    state.status[collection] = status
+    state.errors[collection] = error
+    // Firestore stops the listener when an error occurs.
+    if (status === 'error') state.listeners[collection] = null
+  },
   addMaster(state, { collection, data }) {
     if (!collection || !data) return
-    const items = state[collection]
+    const items = state.items[collection]
     const index = items.findIndex(({ docId }) => docId === data.docId)
     if (index === -1) items.push(data)
     if (index !== -1) items.splice(index, 1, data)
   },
   removeMaster(state, { collection, data }) {
     if (!collection || !data) return
-    const items = state[collection]
+    const items = state.items[collection]
     const index = items.findIndex(({ docId }) => docId === data.docId)
     if (index !== -1) items.splice(index, 1)
   },
@@ -79,10 +421,11 @@ export const mutations = {
     }
     if (state.listeners[collection]) {
       state.listeners[collection]()
+      state.listeners[collection] = null
     }
-    Object.keys(state.listeners).forEach((key) => {
-      state[key].splice(0)
-    })
+    state.status[collection] = 'idle'
+    state.errors[collection] = null
+    state.items[collection].splice(0)
     /* eslint-enable */
   },
 }
@@ -90,61 +433,96 @@ export const mutations = {
  * ACTIONS
  ******************************************************************/
 export const actions = {
-  async subscribe({ state, commit }) {
-    try {
-      const promises = []
-      Object.keys(state.listeners).forEach((key) => {
-        const colRef = collection(this.$firestore, key)
-        promises.push(getDocs(colRef))
-      })
-      const snapshots = await Promise.all(promises)
-      Object.keys(state.listeners).forEach((key, index) => {
-        snapshots[index].docs.forEach((doc) => {
-          commit('addMaster', { collection: key, data: doc.data() })
-        })
-      })
-      Object.keys(state.listeners).forEach((key) => {
-        const colRef = collection(this.$firestore, key)
-        const listener = onSnapshot(colRef, (snapshot) => {
-          snapshot.docChanges().forEach((change) => {
-            if (change.type === 'added')
-              commit('addMaster', {
-                collection: key,
-                data: change.doc.data(),
-              })
-            if (change.type === 'modified')
-              commit('addMaster', {
-                collection: key,
-                data: change.doc.data(),
-              })
-            if (change.type === 'removed')
-              commit('removeMaster', {
-                collection: key,
-                data: change.doc.data(),
-              })
-          })
-        })
-        commit('addListener', { collection: key, listener })
-      })
-    } catch (err) {
+  async register({ state, commit, dispatch }, payload) {
+    const configs = (Array.isArray(payload) ? payload : [payload]).map(toConfig)
+    configs.forEach((config) => commit('registerMaster', config))
+    if (!state.isActive) return
+    await dispatch(
+      'subscribe',
+      configs
+        .filter(({ collection, lazy }) => !lazy || state.refs[collection])
+        .map(({ collection }) => collection)
+    )
+  },
+  async subscribe(
+    { state, rootState, commit, dispatch },
+    collections = undefined
+  ) {
+    if (!collections) commit('setActive', true)
+    const keys = (
+      collections ||
+      Object.values(state.configs)
+        .filter(({ collection, lazy }) => !lazy || state.refs[collection])
+        .map(({ collection }) => collection)
+    ).filter(
+      (key) =>
+        key in state.configs &&
+        !state.listeners[key] &&
+        state.status[key] !== 'loading'
+    )
+    const uid = rootState.auth?.user?.uid
+    const results = await Promise.allSettled(
+      keys.map((key) =>
+        listen(this, { state, commit }, state.configs[key], uid)
+      )
+    )
+    results.forEach(({ status, reason }, index) => {
+      if (status !== 'rejected') return
       // eslint-disable-next-line
-      console.error(err)
-      alert(err.message)
-    }
+      console.error(reason)
+      dispatch(
+        'notifications/notifyError',
+        { error: reason, retry: () => dispatch('subscribe', [keys[index]]) },
+        { root: true }
+      )
+    })
   },
-  unsubscribe({ state, commit }) {
+  unsubscribe({ state, commit, dispatch }, collections = undefined) {
     return new Promise((resolve, reject) => {
       try {
-        Object.keys(state.listeners).forEach((key) => {
+        if (!collections) commit('setActive', false)
+        const keys = collections || Object.keys(state.listeners)
+        keys.forEach((key) => {
+          cancelRelease(key)
           commit('removeListener', key)
         })
-        resolve()
+        if (collections) return resolve()
+        cache
+          .clear()
+          .catch(() => {})
+          .then(() => resolve())
       } catch (err) {
         // eslint-disable-next-line
         console.error(err)
-        alert(err.message)
+        dispatch('notifications/notifyError', err, { root: true })
         reject(err)
       }
     })
   },
+  async acquire({ state, commit, dispatch }, payload) {
+    const collections = toCollections(payload)
+    collections.forEach((collection) => {
+      cancelRelease(collection)
+      commit('addRef', collection)
+    })
+    if (!state.isActive) return
+    await dispatch(
+      'subscribe',
+      collections.filter((collection) => collection in state.configs)
+    )
+  },
+  release({ state, commit, dispatch }, payload) {
+    const isUnused = (collection) =>
+      state.configs[collection]?.lazy && !state.refs[collection]
+    const collections = toCollections(payload)
+    collections.forEach((collection) => commit('removeRef', collection))
+    collections.filter(isUnused).forEach((collection) => {
+      cancelRelease(collection)
+      const timer = setTimeout(() => {
+        releaseTimers.delete(collection)
+        if (isUnused(collection)) dispatch('unsubscribe', [collection])
+      }, RELEASE_DELAY)
+      releaseTimers.set(collection, timer)
+    })
+  },
 }
@@ -0,0 +1,116 @@
+/**
+ * ### 通知用Vuex
+ * 画面に表示する通知（スナックバー）をキューで管理します。
+ * 表示は layouts/default.vue の NotificationQueue コンポーネントが行います。
+ *
+ * { id, message, severity, timeout, actions }
+ * severity 'success'、'info'、'warning'、'error'のいずれかです。
+ * timeout  自動で閉じるまでの時間（ミリ秒）です。-1の場合は自動で閉じません。
+ *          省略した場合はseverityに応じた既定値です。
+ * actions  通知に表示するボタンの配列です。 ex.) [{ label: '再試行', handler }]
+ *          ボタンをクリックするとhandlerが呼び出され、通知が閉じられます。
+ *
+ * 同時に表示される通知はMAX_VISIBLE件までで、それ以降はキューで待機します。
+ *
+ * #### ACTIONS
+ * ##### notify
+ * 通知を追加し、idを返します。引数は通知のオブジェクト、またはメッセージです。
+ * ex.) this.$store.dispatch('notifications/notify', { message: '保存しました。', severity: 'success' })
+ *
+ * ##### notifyError
+ * エラーを通知します。FireModelとFirebaseのエラーは利用者向けのメッセージに変換されます。
+ * retryを指定すると「再試行」ボタンが表示されます。（models/notification.js を参照）
+ * ex.) this.$store.dispatch('notifications/notifyError', { error, retry: () => this.submit() })
+ *
+ * ##### dismiss
+ * 指定されたidの通知を閉じます。
+ *
+ * @author shisyamo4131
+ */
+import { toNotification } from '~/models/notification'
+
+const SEVERITIES = ['success', 'info', 'warning', 'error']
+const MAX_VISIBLE = 3
+const DEFAULT_TIMEOUTS = {
+  success: 4000,
+  info: 4000,
+  warning: 6000,
+  error: 8000,
+}
+
+/******************************************************************
+ * STATE
+ ******************************************************************/
+export const state = () => ({
+  // Notifications in order of being added.
+  items: [],
+  nextId: 1,
+})
+/******************************************************************
+ * GETTERS
+ ******************************************************************/
+export const getters = {
+  // Returns notifications to be shown.
+  visibleItems(state) {
+    return state.items.slice(0, MAX_VISIBLE)
+  },
+  // Returns the number of notifications waiting to be shown.
+  pendingCount(state) {
+    return Math.max(state.items.length - MAX_VISIBLE, 0)
+  },
+}
+/******************************************************************
+ * MUTATIONS
+ ******************************************************************/
+export const mutations = {
+  add(state, item) {
+    state.items.push({ ...item, id: state.nextId })
+    state.nextId++
+  },
+  remove(state, id) {
+    const index = state.items.findIndex((item) => item.id === id)
+    if (index !== -1) state.items.splice(index, 1)
+  },
+  clear(state) {
+    state.items.splice(0)
+  },
+}
+/******************************************************************
+ * ACTIONS
+ ******************************************************************/
+export const actions = {
+  notify({ state, commit }, payload) {
+    const {
+      message = '',
+      severity = 'info',
+      timeout = undefined,
+      actions = [],
+    } = typeof payload === 'string' ? { message: payload } : payload || {}
+    if (!SEVERITIES.includes(severity)) {
+      throw new TypeError(
+        `[notifications.js] The severity must be one of ${SEVERITIES.join(
+          ', '
+        )}.`
+      )
+    }
+    const id = state.nextId
+    commit('add', {
+      message,
+      severity,
+      timeout: timeout ?? DEFAULT_TIMEOUTS[severity],
+      actions,
+    })
+    return id
+  },
+  notifyError({ dispatch }, payload) {
+    const { error, retry, timeout } =
+      payload instanceof Error ? { error: payload } : payload || {}
+    return dispatch('notify', { ...toNotification(error, { retry }), timeout })
+  },
+  dismiss({ commit }, id) {
+    commit('remove', id)
+  },
+  clear({ commit }) {
+    commit('clear')
+  },
+}
@@ -0,0 +1,429 @@
+import FireModel from '@/models/FireModel'
+import { createMemoryAdapter } from '@/models/adapters'
+import { initializeAutonumber } from '@/models/autonumber'
+import {
+  AutonumberExhaustedError,
+  ConflictError,
+  DependentDocumentsExistError,
+  NotFoundError,
+} from '@/models/errors'
+import { configureLogger } from '@/models/logger'
+
+const auth = { currentUser: { uid: 'user-1' } }
+
+class Customer extends FireModel {
+  constructor(firestore, auth, options) {
+    super(firestore, 'Customers', auth, options)
+    this.hasMany = [
+      {
+        collection: 'Sites',
+        field: 'customerId',
+        condition: '==',
+        type: 'collection',
+      },
+    ]
+  }
+
+  initialize(item) {
+    this.code = ''
+    this.name = ''
+    super.initialize(item)
+  }
+}
+
+class Site extends FireModel {
+  constructor(firestore, auth, options) {
+    super(firestore, 'Sites', auth, options)
+  }
+
+  initialize(item) {
+    this.customerId = ''
+    this.name = ''
+    super.initialize(item)
+  }
+}
+
+class Product extends FireModel {
+  constructor(firestore, auth, options) {
+    super(firestore, 'Products', auth, options)
+    this.softDelete = true
+  }
+}
+
+let adapter
+
+async function exists(collection, docId) {
+  const docSnap = await adapter.getDoc(adapter.doc(collection, docId))
+  return docSnap.exists()
+}
+
+beforeAll(() => {
+  configureLogger({ level: 'silent' })
+})
+
+beforeEach(() => {
+  adapter = createMemoryAdapter()
+})
+
+describe('create, fetch, update and delete', () => {
+  it('creates a document and fetches it', async () => {
+    const customer = new Customer(adapter, auth)
+    customer.name = 'ACME'
+    const docRef = await customer.create()
+    expect(customer.docId).toBe(docRef.id)
+    expect(customer.uid).toBe('user-1')
+    expect(typeof customer.createAt.toDate).toBe('function')
+    expect(customer.isDirty).toBe(false)
+
+    const fetched = new Customer(adapter, auth)
+    await fetched.fetch(docRef.id)
+    expect(fetched.docId).toBe(docRef.id)
+    expect(fetched.name).toBe('ACME')
+  })
+
+  it('initializes the properties when the document does not exist', async () => {
+    const customer = new Customer(adapter, auth)
+    customer.name = 'ACME'
+    await customer.fetch('missing')
+    expect(customer.docId).toBe('')
+    expect(customer.name).toBe('')
+  })
+
+  it('updates only when the values have been changed', async () => {
+    const customer = new Customer(adapter, auth)
+    customer.name = 'ACME'
+    await customer.create('c1')
+    const spy = jest.spyOn(adapter, 'runTransaction')
+    await customer.update()
+    expect(spy).not.toHaveBeenCalled()
+
+    customer.name = 'ACME Corp.'
+    await customer.update()
+    expect(spy).toHaveBeenCalledTimes(1)
+    const fetched = new Customer(adapter, auth)
+    await fetched.fetch('c1')
+    expect(fetched.name).toBe('ACME Corp.')
+  })
+
+  it('updates an instance initialized without updateAt', async () => {
+    const customer = new Customer(adapter, auth)
+    customer.name = 'ACME'
+    await customer.create('c1')
+    const initialized = new Customer(adapter, auth)
+    initialized.initialize({ docId: 'c1', name: 'ACME Corp.' })
+    await initialized.update()
+    const results = await Customer.updateMany(adapter, auth, [
+      { docId: 'c1', name: 'ACME Inc.' },
+    ])
+    expect(results.map(({ success }) => success)).toEqual([true])
+    const fetched = new Customer(adapter, auth)
+    await fetched.fetch('c1')
+    expect(fetched.name).toBe('ACME Inc.')
+  })
+
+  it('takes docId from documents written outside FireModel', async () => {
+    await adapter.runTransaction((transaction) =>
+      transaction.set(adapter.doc('Customers', 'c1'), { name: 'ACME' })
+    )
+    const [customer] = await new Customer(adapter, auth).fetchDocs()
+    expect(customer.docId).toBe('c1')
+    const fetched = new Customer(adapter, auth)
+    await fetched.fetch('c1')
+    expect(fetched.docId).toBe('c1')
+    await customer.delete()
+    expect(await exists('Customers', 'c1')).toBe(false)
+  })
+
+  it('deletes a document', async () => {
+    const customer = new Customer(adapter, auth)
+    await customer.create('c1')
+    await customer.delete()
+    expect(await exists('Customers', 'c1')).toBe(false)
+    await expect(customer.delete()).rejects.toBeInstanceOf(NotFoundError)
+  })
+})
+
+describe('autonumber', () => {
+  it('assigns numbers until the digits run out', async () => {
+    await initializeAutonumber(adapter, 'Customers', {
+      code: { length: 1, current: 8 },
+    })
+    const first = new Customer(adapter, auth)
+    await first.create()
+    expect(first.code).toBe('9')
+
+    const second = new Customer(adapter, auth)
+    const error = await second.create().catch((err) => err)
+    expect(error).toBeInstanceOf(AutonumberExhaustedError)
+    expect(error.details).toMatchObject({
+      collection: 'Customers',
+      field: 'code',
+    })
+    expect(second.docId).toBeTruthy()
+    expect(await exists('Customers', second.docId)).toBe(false)
+  })
+})
+
+describe('dependencies', () => {
+  it('does not delete a document that has dependent documents', async () => {
+    const customer = new Customer(adapter, auth)
+    await customer.create('c1')
+    const site = new Site(adapter, auth)
+    site.customerId = 'c1'
+    await site.create()
+
+    await expect(customer.delete()).rejects.toBeInstanceOf(
+      DependentDocumentsExistError
+    )
+    expect(await exists('Customers', 'c1')).toBe(true)
+
+    await site.delete()
+    await customer.delete()
+    expect(await exists('Customers', 'c1')).toBe(false)
+  })
+})
+
+describe('hooks', () => {
+  const hooks = [
+    'beforeCreate',
+    'afterCreate',
+    'beforeUpdate',
+    'afterUpdate',
+    'beforeDelete',
+    'afterDelete',
+  ]
+
+  function record(model, events) {
+    hooks.forEach((hook) => {
+      model[hook] = () => {
+        events.push(hook)
+        return Promise.resolve()
+      }
+    })
+  }
+
+  it('runs before hooks before writing and after hooks after writing', async () => {
+    const events = []
+    const model = new Customer(adapter, auth)
+    record(model, events)
+    const runTransaction = adapter.runTransaction
+    adapter.runTransaction = (fn) => {
+      events.push('write')
+      return runTransaction(fn)
+    }
+    await model.create('c1')
+    model.name = 'changed'
+    await model.update()
+    await model.delete()
+    expect(events).toEqual([
+      'beforeCreate',
+      'write',
+      'afterCreate',
+      'beforeUpdate',
+      'write',
+      'afterUpdate',
+      'beforeDelete',
+      'write',
+      'afterDelete',
+    ])
+  })
+
+  it('does not write if a before hook rejects', async () => {
+    const model = new Customer(adapter, auth)
+    model.beforeCreate = () => Promise.reject(new Error('rejected'))
+    await expect(model.create('c1')).rejects.toThrow('rejected')
+    expect(await exists('Customers', 'c1')).toBe(false)
+  })
+})
+
+describe('fetchDocsByString', () => {
+  class Item extends FireModel {
+    constructor(firestore, auth, options) {
+      super(firestore, 'Items', auth, options)
+      this.tokenFields = ['name']
+    }
+
+    initialize(item) {
+      this.name = ''
+      super.initialize(item)
+    }
+  }
+
+  it('searches strings that contain characters of field paths', async () => {
+    const names = ['a.b/c', 'x*y~z', '[1]', 'plain']
+    for (const name of names) {
+      const item = new Item(adapter, auth)
+      item.name = name
+      await item.create()
+    }
+    const search = async (text) =>
+      (await new Item(adapter, auth).fetchDocsByString(text)).map(
+        ({ name }) => name
+      )
+    expect(await search('a.b/c')).toEqual(['a.b/c'])
+    expect(await search('y~')).toEqual(['x*y~z'])
+    expect(await search('[1]')).toEqual(['[1]'])
+    expect(await search('.')).toEqual(['a.b/c'])
+  })
+
+  it('finds documents whose tokenMap is rebuilt', async () => {
+    const name = 'コンピューター'
+    const bigrams = [...name]
+      .slice(0, -1)
+      .map((char, index) => char + name[index + 1])
+    const tokenMap = Object.fromEntries(
+      [...name, ...bigrams].map((token) => [token, true])
+    )
+    await adapter.runTransaction((transaction) =>
+      transaction.set(adapter.doc('Items', 'i1'), {
+        docId: 'i1',
+        name,
+        tokenMap,
+      })
+    )
+    const search = () => new Item(adapter, auth).fetchDocsByString(name)
+    expect(await search()).toHaveLength(0)
+
+    const results = await Item.rebuildTokenMap(adapter, auth)
+    expect(results.map(({ success }) => success)).toEqual([true])
+    expect((await search()).map(({ docId }) => docId)).toEqual(['i1'])
+  })
+
+  it('requires tokenFields to rebuild tokenMap', async () => {
+    await expect(Customer.rebuildTokenMap(adapter, auth)).rejects.toThrow(
+      'tokenFields'
+    )
+  })
+})
+
+describe('timestamps after writing', () => {
+  it('sets estimates without reading the document', async () => {
+    const spy = jest.spyOn(adapter, 'getDoc')
+    const customer = new Customer(adapter, auth)
+    await customer.create('c1')
+    customer.name = 'changed'
+    await customer.update()
+    expect(spy).not.toHaveBeenCalled()
+    expect(customer.updateAt.toDate()).toBeInstanceOf(Date)
+  })
+
+  it('updates the document again with the estimates', async () => {
+    const customer = new Customer(adapter, auth)
+    await customer.create('c1')
+    customer.name = 'first'
+    await customer.update()
+    customer.name = 'second'
+    await customer.update()
+    const fetched = new Customer(adapter, auth)
+    await fetched.fetch('c1')
+    expect(fetched.name).toBe('second')
+  })
+
+  it('detects updates by others while holding the estimates', async () => {
+    const customer = new Customer(adapter, auth)
+    await customer.create('c1')
+    const other = new Customer(adapter, auth)
+    await other.fetch('c1')
+    other.name = 'other'
+    await other.update()
+
+    customer.name = 'mine'
+    await expect(customer.update()).rejects.toBeInstanceOf(ConflictError)
+  })
+})
+
+describe('softDelete', () => {
+  it('does not make a new instance dirty', async () => {
+    const product = new Product(adapter, auth)
+    expect(product.isDirty).toBe(false)
+    expect(product.changedFields()).toEqual([])
+    await product.create('p1')
+    const fetched = new Product(adapter, auth)
+    await fetched.fetch('p1')
+    expect(fetched.isDirty).toBe(false)
+  })
+
+  it('excludes deleted documents from subscribe()', async () => {
+    const product = new Product(adapter, auth)
+    await product.create('p1')
+    const subscriber = new Product(adapter, auth)
+    subscriber.subscribe('p1')
+    await new Promise((resolve) => setTimeout(resolve))
+    expect(subscriber.docId).toBe('p1')
+
+    await product.delete()
+    await new Promise((resolve) => setTimeout(resolve))
+    expect(subscriber.docId).toBe('')
+
+    subscriber.subscribe('p1', { includeDeleted: true })
+    await new Promise((resolve) => setTimeout(resolve))
+    expect(subscriber.isDeleted).toBe(true)
+    subscriber.unsubscribe()
+  })
+})
+
+describe('backfillSoftDelete', () => {
+  it('sets isDeleted on documents that do not have it', async () => {
+    const legacy = new FireModel(adapter, 'Products', auth)
+    await legacy.create('p1')
+    const product = new Product(adapter, auth)
+    await product.create('p2')
+    expect(await new Product(adapter, auth).fetchDocs()).toHaveLength(1)
+
+    const results = await Product.backfillSoftDelete(adapter, auth)
+    expect(results.map(({ docId, success }) => [docId, success])).toEqual([
+      ['p1', true],
+    ])
+    expect(await new Product(adapter, auth).fetchDocs()).toHaveLength(2)
+  })
+
+  it('requires softDelete to be enabled', async () => {
+    await expect(Customer.backfillSoftDelete(adapter, auth)).rejects.toThrow(
+      'softDelete'
+    )
+  })
+})
+
+describe('updateMany', () => {
+  class Item extends FireModel {
+    constructor(firestore, auth, options) {
+      super(firestore, 'Items', auth, options)
+      this.tokenFields = ['name']
+    }
+
+    initialize(item) {
+      this.name = ''
+      this.memo = ''
+      super.initialize(item)
+    }
+  }
+
+  it('writes only changed fields and skips unchanged instances', async () => {
+    const items = []
+    for (const name of ['first', 'second']) {
+      const item = new Item(adapter, auth)
+      item.name = name
+      await item.create()
+      items.push(item)
+    }
+    items[0].memo = 'changed'
+    const batches = []
+    const writeBatch = adapter.writeBatch
+    adapter.writeBatch = () => {
+      const batch = writeBatch()
+      const update = batch.update
+      batch.update = (ref, data) => {
+        batches.push(data)
+        return update(ref, data)
+      }
+      return batch
+    }
+    const afterUpdate = jest.spyOn(Item.prototype, 'afterUpdate')
+
+    const results = await Item.updateMany(adapter, auth, items)
+    expect(results.map(({ success }) => success)).toEqual([true, true])
+    expect(batches).toHaveLength(1)
+    expect(Object.keys(batches[0]).sort()).toEqual(['memo', 'uid', 'updateAt'])
+    expect(afterUpdate.mock.contexts).toEqual([items[0]])
+  })
+})
@@ -0,0 +1,43 @@
+import {
+  average,
+  count,
+  getAggregateFromServer,
+  getDocs,
+  sum,
+} from 'firebase/firestore'
+import { createFirestoreAdapter } from '@/models/adapters'
+import { parseAggregateSpec } from '@/models/aggregate'
+
+jest.mock('firebase/firestore', () => ({
+  ...jest.requireActual('firebase/firestore'),
+  average: jest.fn((field) => ({ type: 'average', field })),
+  count: jest.fn(() => ({ type: 'count' })),
+  getAggregateFromServer: jest.fn(() =>
+    Promise.resolve({ data: () => ({ docs: 3, total: 1500, avg: 500 }) })
+  ),
+  getDocs: jest.fn(),
+  sum: jest.fn((field) => ({ type: 'sum', field })),
+}))
+
+describe('getAggregateFromServer', () => {
+  it('aggregates on the server with count(), sum() and average()', async () => {
+    const adapter = createFirestoreAdapter({})
+    const q = { type: 'query' }
+    const spec = parseAggregateSpec({
+      docs: 'count',
+      total: ['sum', 'amount'],
+      avg: ['average', 'amount'],
+    })
+    const snapshot = await adapter.getAggregateFromServer(q, spec)
+    expect(snapshot.data()).toEqual({ docs: 3, total: 1500, avg: 500 })
+    expect(count).toHaveBeenCalled()
+    expect(sum).toHaveBeenCalledWith('amount')
+    expect(average).toHaveBeenCalledWith('amount')
+    expect(getAggregateFromServer).toHaveBeenCalledWith(q, {
+      docs: { type: 'count' },
+      total: { type: 'sum', field: 'amount' },
+      avg: { type: 'average', field: 'amount' },
+    })
+    expect(getDocs).not.toHaveBeenCalled()
+  })
+})
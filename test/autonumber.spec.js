@@ -0,0 +1,62 @@
+import { createMemoryAdapter } from '@/models/adapters'
+import {
+  assignAutonumbers,
+  fetchAutonumber,
+  initializeAutonumber,
+} from '@/models/autonumber'
+
+let adapter
+
+function assign(count = 1) {
+  return adapter.runTransaction((transaction) =>
+    assignAutonumbers(transaction, adapter, 'Customers', count)
+  )
+}
+
+beforeEach(() => {
+  adapter = createMemoryAdapter()
+  jest.useFakeTimers({ now: new Date('2026-06-15T12:00:00+09:00') })
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+describe('periods', () => {
+  it('stores the current period for fields with reset', async () => {
+    await initializeAutonumber(adapter, 'Customers', {
+      code: { length: 4, reset: 'year', current: 10 },
+      serial: { length: 4 },
+    })
+    const { fields } = await fetchAutonumber(adapter, 'Customers')
+    expect(fields.code.period).toBe('2026')
+    expect(fields.serial.period).toBeUndefined()
+  })
+
+  it('keeps the numbers of the current period', async () => {
+    await initializeAutonumber(adapter, 'Customers', {
+      code: { length: 4, reset: 'year', current: 10 },
+    })
+    expect(await assign()).toEqual([{ code: '0011' }])
+  })
+
+  it('treats a missing period as the current period', async () => {
+    await adapter.runTransaction((transaction) =>
+      transaction.set(adapter.doc('Autonumbers', 'Customers'), {
+        condition: true,
+        fields: { code: { current: 10, length: 4, reset: 'year' } },
+      })
+    )
+    expect(await assign()).toEqual([{ code: '0011' }])
+    const { fields } = await fetchAutonumber(adapter, 'Customers')
+    expect(fields.code).toMatchObject({ current: 11, period: '2026' })
+  })
+
+  it('resets the number in a new period', async () => {
+    await initializeAutonumber(adapter, 'Customers', {
+      code: { length: 4, reset: 'year', current: 10 },
+    })
+    jest.setSystemTime(new Date('2027-06-15T12:00:00+09:00'))
+    expect(await assign(2)).toEqual([{ code: '0001' }, { code: '0002' }])
+  })
+})
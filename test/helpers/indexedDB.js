@@ -0,0 +1,65 @@
+/**
+ * A minimal IndexedDB for tests of models/cache.js.
+ * It supports open() with onupgradeneeded, createObjectStore() with keyPath
+ * and get(), put() and clear() of object stores.
+ * Values are copied like the structured clone of IndexedDB.
+ * (structuredClone() of Jest returns Dates of another realm.)
+ * Requests complete in a microtask, so fake timers of Jest do not block them.
+ */
+function copy(value) {
+  if (value === null || typeof value !== 'object') return value
+  if (value instanceof Date) return new Date(value.getTime())
+  if (Array.isArray(value)) return value.map(copy)
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, copy(item)])
+  )
+}
+
+function toRequest(fn) {
+  const request = {}
+  Promise.resolve().then(() => {
+    try {
+      request.result = fn()
+      request.onsuccess?.()
+    } catch (error) {
+      request.error = error
+      request.onerror?.()
+    }
+  })
+  return request
+}
+
+export function createIndexedDB() {
+  const databases = new Map()
+  return {
+    open(name) {
+      const request = {}
+      Promise.resolve().then(() => {
+        const isNew = !databases.has(name)
+        if (isNew) databases.set(name, new Map())
+        const stores = databases.get(name)
+        request.result = {
+          createObjectStore(storeName, { keyPath }) {
+            stores.set(storeName, { keyPath, records: new Map() })
+          },
+          transaction(storeName) {
+            const { keyPath, records } = stores.get(storeName)
+            return {
+              objectStore: () => ({
+                get: (key) => toRequest(() => copy(records.get(key))),
+                put: (value) =>
+                  toRequest(() => {
+                    records.set(value[keyPath], copy(value))
+                  }),
+                clear: () => toRequest(() => records.clear()),
+              }),
+            }
+          },
+        }
+        if (isNew) request.onupgradeneeded?.()
+        request.onsuccess?.()
+      })
+      return request
+    },
+  }
+}
@@ -0,0 +1,41 @@
+import { normalizeText } from '@/models/normalize'
+
+describe('normalizeText', () => {
+  it('folds the width of kana and alphanumerics', () => {
+    expect(normalizeText('ｶﾌﾞｼｷ')).toBe('カブシキ')
+    expect(normalizeText('ＡＢＣ１２３')).toBe('abc123')
+  })
+
+  it('removes spaces and lowercases', () => {
+    expect(normalizeText(' Foo　Bar ')).toBe('foobar')
+  })
+
+  it('unifies hiragana to katakana', () => {
+    expect(normalizeText('かぶしき')).toBe('カブシキ')
+  })
+
+  it('removes long vowel marks', () => {
+    expect(normalizeText('コンピューター')).toBe('コンピユタ')
+    expect(normalizeText('ｺﾝﾋﾟｭｰﾀｰ')).toBe('コンピユタ')
+  })
+
+  it('folds small kana', () => {
+    expect(normalizeText('キャッシュ')).toBe('キヤツシユ')
+    expect(normalizeText('ぁぃぅぇぉ')).toBe('アイウエオ')
+  })
+
+  it('removes corporate suffixes only with the option', () => {
+    expect(normalizeText('株式会社テスト')).toBe('株式会社テスト')
+    expect(
+      normalizeText('株式会社テスト', { removeCorporateSuffix: true })
+    ).toBe('テスト')
+    expect(normalizeText('（株）テスト', { removeCorporateSuffix: true })).toBe(
+      'テスト'
+    )
+  })
+
+  it('returns an empty string for values other than strings', () => {
+    expect(normalizeText(null)).toBe('')
+    expect(normalizeText(123)).toBe('')
+  })
+})
@@ -0,0 +1,150 @@
+import FireModel from '@/models/FireModel'
+import { createMemoryAdapter } from '@/models/adapters'
+import { configureLogger } from '@/models/logger'
+
+class Item extends FireModel {
+  constructor(firestore, auth, options) {
+    super(firestore, 'Items', auth, options)
+  }
+
+  initialize(item) {
+    this.code = ''
+    this.group = ''
+    super.initialize(item)
+  }
+}
+
+let adapter
+
+const codes = (paginator) => paginator.items.map(({ code }) => code)
+
+beforeAll(() => {
+  configureLogger({ level: 'silent' })
+})
+
+beforeEach(async () => {
+  adapter = createMemoryAdapter()
+  for (let i = 1; i <= 7; i++) {
+    const item = new Item(adapter, null)
+    item.code = `0${i}`
+    item.group = i % 2 ? 'odd' : 'even'
+    await item.create(`i${i}`)
+  }
+})
+
+function paginate(options = {}) {
+  return new Item(adapter, null).paginate(
+    { orderBy: [['code', 'asc']] },
+    { pageSize: 3, ...options }
+  )
+}
+
+describe('next() and prev()', () => {
+  it('loads pages with cursors', async () => {
+    const paginator = paginate()
+    await paginator.next()
+    expect(codes(paginator)).toEqual(['01', '02', '03'])
+    expect(paginator.page).toBe(1)
+    expect(paginator.hasMore).toBe(true)
+    expect(paginator.hasPrev).toBe(false)
+
+    await paginator.next()
+    expect(codes(paginator)).toEqual(['04', '05', '06'])
+    await paginator.next()
+    expect(codes(paginator)).toEqual(['07'])
+    expect(paginator.page).toBe(3)
+    expect(paginator.hasMore).toBe(false)
+
+    await paginator.next()
+    expect(paginator.page).toBe(3)
+  })
+
+  it('loads previous pages with the cursor of the page before them', async () => {
+    const paginator = paginate()
+    await paginator.goTo(3)
+    await paginator.prev()
+    expect(paginator.page).toBe(2)
+    expect(codes(paginator)).toEqual(['04', '05', '06'])
+    expect(paginator.hasMore).toBe(true)
+    await paginator.prev()
+    expect(paginator.page).toBe(1)
+    expect(codes(paginator)).toEqual(['01', '02', '03'])
+    await paginator.prev()
+    expect(paginator.page).toBe(1)
+  })
+})
+
+describe('goTo()', () => {
+  it('loads pages up to the page', async () => {
+    const paginator = paginate()
+    await paginator.goTo(2)
+    expect(codes(paginator)).toEqual(['04', '05', '06'])
+    await paginator.goTo(1)
+    expect(codes(paginator)).toEqual(['01', '02', '03'])
+  })
+
+  it('stops at the last page', async () => {
+    const paginator = paginate()
+    await paginator.goTo(10)
+    expect(paginator.page).toBe(3)
+    expect(codes(paginator)).toEqual(['07'])
+  })
+})
+
+describe('total and tableProps', () => {
+  it('estimates the number of items while more items exist', async () => {
+    const paginator = paginate()
+    await paginator.next()
+    expect(paginator.tableProps.serverItemsLength).toBe(4)
+    await paginator.goTo(3)
+    expect(paginator.tableProps.serverItemsLength).toBe(7)
+  })
+
+  it('counts the total with withCount', async () => {
+    const paginator = paginate({ withCount: true })
+    await paginator.reset()
+    expect(paginator.total).toBe(7)
+    expect(paginator.tableProps.serverItemsLength).toBe(7)
+  })
+})
+
+describe('setConstraints()', () => {
+  it('resets the pages', async () => {
+    const paginator = paginate({ withCount: true })
+    await paginator.goTo(2)
+    await paginator.setConstraints({
+      where: [['group', '==', 'odd']],
+      orderBy: [['code', 'asc']],
+    })
+    expect(paginator.page).toBe(1)
+    expect(paginator.total).toBe(4)
+    expect(codes(paginator)).toEqual(['01', '03', '05'])
+    await paginator.next()
+    expect(codes(paginator)).toEqual(['07'])
+    expect(paginator.hasMore).toBe(false)
+  })
+})
+
+describe('handleOptions()', () => {
+  it('applies the page, size and sorting of v-data-table', async () => {
+    const paginator = new Item(adapter, null).paginate([], { pageSize: 3 })
+    await paginator.handleOptions({
+      page: 2,
+      itemsPerPage: 2,
+      sortBy: ['code'],
+      sortDesc: [true],
+    })
+    expect(paginator.pageSize).toBe(2)
+    expect(paginator.sortBy).toEqual([['code', 'desc']])
+    expect(paginator.page).toBe(2)
+    expect(codes(paginator)).toEqual(['05', '04'])
+
+    await paginator.handleOptions({
+      page: 2,
+      itemsPerPage: 2,
+      sortBy: ['code'],
+      sortDesc: [false],
+    })
+    expect(codes(paginator)).toEqual(['03', '04'])
+  })
+})
@@ -0,0 +1,36 @@
+import { validate } from '@/models/schema'
+import { setLocale } from '@/models/messages'
+
+const schema = {
+  code: { type: String, required: true, pattern: /^\d{4}$/ },
+  name: { type: String, max: 3 },
+  rank: { type: String, enum: ['A', 'B'] },
+  price: { type: Number, min: 0 },
+}
+
+afterEach(() => {
+  setLocale('ja')
+})
+
+describe('validate', () => {
+  it('returns an empty object if the item is valid', () => {
+    expect(validate(schema, { code: '0001', rank: 'A', price: 1 })).toEqual({})
+  })
+
+  it('returns messages in the current locale', () => {
+    const item = { code: '', name: 'ABCD', rank: 'C', price: -1 }
+    expect(validate(schema, item)).toEqual({
+      code: ['codeは必須です。'],
+      name: ['nameは3文字（件）以下である必要があります。'],
+      rank: ['rankはA, Bのいずれかである必要があります。'],
+      price: ['priceは0以上である必要があります。'],
+    })
+    setLocale('en')
+    expect(validate(schema, item)).toEqual({
+      code: ['code is required.'],
+      name: ['name must be at most 3 in length.'],
+      rank: ['rank must be one of A, B.'],
+      price: ['price must be greater than or equal to 0.'],
+    })
+  })
+})
@@ -0,0 +1,427 @@
+import { createIndexedDB } from '../helpers/indexedDB'
+import FireModel from '@/models/FireModel'
+import { createMemoryAdapter, MemoryTimestamp } from '@/models/adapters'
+import { createMasterCache } from '@/models/cache'
+import { configureLogger } from '@/models/logger'
+import { state, getters, mutations, actions } from '@/store/masters'
+
+jest.mock(
+  'vue',
+  () => ({
+    __esModule: true,
+    default: {
+      set(target, key, value) {
+        target[key] = value
+      },
+    },
+  }),
+  { virtual: true }
+)
+
+// The store creates its cache when loaded, so the fake IndexedDB is passed
+// to createMasterCache() here. Every cache shares the same database.
+jest.mock('@/models/cache', () => {
+  const actual = jest.requireActual('@/models/cache')
+  const { createIndexedDB } = jest.requireActual('../helpers/indexedDB')
+  const { MemoryTimestamp } = jest.requireActual('@/models/adapters')
+  const indexedDB = createIndexedDB()
+  return {
+    ...actual,
+    createMasterCache: (options) =>
+      actual.createMasterCache({
+        ...options,
+        indexedDB,
+        toTimestamp: (date) => MemoryTimestamp.fromDate(date),
+      }),
+  }
+})
+
+const UID = 'user-1'
+
+class Item extends FireModel {
+  constructor(firestore, auth, options) {
+    super(firestore, 'Items', auth, options)
+    this.softDelete = true
+  }
+
+  initialize(item) {
+    this.code = ''
+    super.initialize(item)
+  }
+}
+
+/**
+ * Creates a store of the module like Vuex does.
+ * The adapter is used as $firestore, and notifications/notifyError is
+ * recorded in notifyError.
+ */
+function createStore() {
+  const adapter = createMemoryAdapter()
+  const notifyError = jest.fn()
+  const store = {
+    $firestore: adapter,
+    $auth: null,
+    $models: { Item: () => new Item(adapter, null) },
+    state: state(),
+    rootState: { auth: { user: { uid: UID } } },
+    getters: {},
+    notifyError,
+  }
+  Object.keys(getters).forEach((name) => {
+    Object.defineProperty(store.getters, name, {
+      get: () => getters[name](store.state, store.getters),
+    })
+  })
+  store.commit = (type, payload) => mutations[type](store.state, payload)
+  store.dispatch = (type, payload) => {
+    if (type === 'notifications/notifyError') return notifyError(payload)
+    const action = actions[type.replace(/^masters\//, '')]
+    return Promise.resolve(
+      action.call(
+        store,
+        {
+          state: store.state,
+          getters: store.getters,
+          rootState: store.rootState,
+          commit: store.commit,
+          dispatch: store.dispatch,
+        },
+        payload
+      )
+    )
+  }
+  return store
+}
+
+async function createItem(adapter, docId, code) {
+  const item = new Item(adapter, null)
+  item.code = code
+  await item.create(docId)
+  return item
+}
+
+/**
+ * Waits for snapshots and writes of the cache.
+ */
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve))
+}
+
+let store
+
+beforeAll(() => {
+  configureLogger({ level: 'silent' })
+})
+
+beforeEach(() => {
+  store = createStore()
+})
+
+afterEach(async () => {
+  jest.useRealTimers()
+  await store.dispatch('unsubscribe')
+})
+
+describe('state', () => {
+  it('is generated for registered masters', async () => {
+    expect(state()).toEqual({
+      configs: {},
+      items: {},
+      listeners: {},
+      status: {},
+      errors: {},
+      refs: {},
+      isActive: false,
+    })
+    await store.dispatch('register', { collection: 'Items', key: 'code' })
+    expect(store.state.configs.Items).toEqual({
+      collection: 'Items',
+      constraints: [],
+      sortBy: null,
+      sortDesc: false,
+      key: 'code',
+      model: null,
+      lazy: false,
+      cache: null,
+    })
+    expect(store.state.items.Items).toEqual([])
+    expect(store.state.listeners.Items).toBeNull()
+    expect(store.state.status.Items).toBe('idle')
+    expect(store.state.errors.Items).toBeNull()
+    expect(store.state.refs.Items).toBe(0)
+    expect(store.getters.collections).toEqual(['Items'])
+  })
+
+  it('rejects a master without collection', async () => {
+    await expect(store.dispatch('register', { key: 'code' })).rejects.toThrow(
+      TypeError
+    )
+  })
+})
+
+describe('getters', () => {
+  beforeEach(async () => {
+    await createItem(store.$firestore, 'a', '02')
+    await createItem(store.$firestore, 'b', '03')
+    await createItem(store.$firestore, 'c', '01')
+    await store.dispatch('register', {
+      collection: 'Items',
+      sortBy: 'code',
+      sortDesc: true,
+      key: 'code',
+      model: 'Item',
+      cache: false,
+    })
+    await store.dispatch('subscribe')
+  })
+
+  it('list() returns documents sorted by sortBy', () => {
+    const codes = store.getters.list('Items').map(({ code }) => code)
+    expect(codes).toEqual(['03', '02', '01'])
+    expect(store.getters.list('Unknown')).toEqual([])
+  })
+
+  it('get() and getByKey() return the document', () => {
+    expect(store.getters.get('Items', 'a').code).toBe('02')
+    expect(store.getters.getByKey('Items', '03').docId).toBe('b')
+    expect(store.getters.getBy('Items', 'code', '01').docId).toBe('c')
+    expect(store.getters.get('Items', 'x')).toBeUndefined()
+    expect(store.getters.getByKey('Unknown', '01')).toBeUndefined()
+  })
+
+  it('reflects changes of documents', async () => {
+    const item = await createItem(store.$firestore, 'd', '04')
+    await flush()
+    expect(store.getters.getByKey('Items', '04').docId).toBe('d')
+    await item.delete()
+    await flush()
+    expect(store.getters.get('Items', 'd')).toBeUndefined()
+  })
+})
+
+describe('register', () => {
+  it('subscribes masters registered while signed in except lazy ones', async () => {
+    await createItem(store.$firestore, 'a', '01')
+    await store.dispatch('subscribe')
+    await store.dispatch('register', [
+      { collection: 'Items', model: Item, cache: false },
+      { collection: 'Lazy', lazy: true },
+    ])
+    expect(store.getters.isReady('Items')).toBe(true)
+    expect(store.getters.list('Items')).toHaveLength(1)
+    expect(store.state.listeners.Lazy).toBeNull()
+    expect(store.state.status.Lazy).toBe('idle')
+  })
+
+  it('does not subscribe masters before signing in', async () => {
+    await store.dispatch('register', { collection: 'Items', cache: false })
+    expect(store.state.listeners.Items).toBeNull()
+  })
+})
+
+describe('status', () => {
+  it('is loading until the first snapshot', async () => {
+    await store.dispatch('register', { collection: 'Items', cache: false })
+    const promise = store.dispatch('subscribe')
+    expect(store.getters.isLoading('Items')).toBe(true)
+    expect(store.getters.isReady('Items')).toBe(false)
+    await promise
+    expect(store.getters.isLoading('Items')).toBe(false)
+    expect(store.getters.isReady('Items')).toBe(true)
+    expect(store.getters.error('Items')).toBeNull()
+  })
+
+  it('keeps the error and notifies it with retry', async () => {
+    const onSnapshot = jest
+      .spyOn(store.$firestore, 'onSnapshot')
+      .mockImplementation((q, next, error) => {
+        Promise.resolve().then(() =>
+          error({ code: 'permission-denied', message: 'Missing permissions.' })
+        )
+        return () => {}
+      })
+    const consoleError = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {})
+    await store.dispatch('register', { collection: 'Items', cache: false })
+    await store.dispatch('subscribe')
+    expect(store.state.status.Items).toBe('error')
+    expect(store.getters.error('Items')).toBeInstanceOf(Error)
+    expect(store.state.listeners.Items).toBeNull()
+    expect(store.notifyError).toHaveBeenCalledTimes(1)
+
+    onSnapshot.mockRestore()
+    await store.notifyError.mock.calls[0][0].retry()
+    expect(store.getters.isReady('Items')).toBe(true)
+    expect(store.getters.error('Items')).toBeNull()
+    consoleError.mockRestore()
+  })
+})
+
+describe('acquire and release', () => {
+  beforeEach(async () => {
+    await store.dispatch('register', {
+      collection: 'Items',
+      lazy: true,
+      cache: false,
+    })
+    await store.dispatch('subscribe')
+  })
+
+  it('subscribes lazy masters while they are acquired', async () => {
+    expect(store.state.listeners.Items).toBeNull()
+    await store.dispatch('acquire', 'Items')
+    expect(store.state.refs.Items).toBe(1)
+    expect(store.getters.isReady('Items')).toBe(true)
+    await store.dispatch('acquire', ['Items'])
+    expect(store.state.refs.Items).toBe(2)
+  })
+
+  it('unsubscribes after RELEASE_DELAY when no page uses them', async () => {
+    await store.dispatch('acquire', 'Items')
+    await store.dispatch('acquire', 'Items')
+    jest.useFakeTimers()
+    await store.dispatch('release', 'Items')
+    expect(store.state.refs.Items).toBe(1)
+    jest.advanceTimersByTime(3000)
+    expect(store.getters.isReady('Items')).toBe(true)
+
+    await store.dispatch('release', 'Items')
+    expect(store.state.refs.Items).toBe(0)
+    jest.advanceTimersByTime(2999)
+    expect(store.getters.isReady('Items')).toBe(true)
+    jest.advanceTimersByTime(1)
+    expect(store.state.listeners.Items).toBeNull()
+    expect(store.state.status.Items).toBe('idle')
+  })
+
+  it('keeps masters acquired again before RELEASE_DELAY', async () => {
+    await store.dispatch('acquire', 'Items')
+    jest.useFakeTimers()
+    await store.dispatch('release', 'Items')
+    jest.advanceTimersByTime(1000)
+    await store.dispatch('acquire', 'Items')
+    jest.advanceTimersByTime(3000)
+    expect(store.state.refs.Items).toBe(1)
+    expect(store.getters.isReady('Items')).toBe(true)
+  })
+
+  it('does not release masters that are not lazy', async () => {
+    await store.dispatch('register', { collection: 'Eager', cache: false })
+    await store.dispatch('acquire', 'Eager')
+    jest.useFakeTimers()
+    await store.dispatch('release', 'Eager')
+    jest.advanceTimersByTime(3000)
+    expect(store.getters.isReady('Eager')).toBe(true)
+  })
+})
+
+describe('cache', () => {
+  /**
+   * Records the ids of documents in snapshots received by listeners.
+   */
+  function recordSnapshots() {
+    const snapshots = []
+    const onSnapshot = store.$firestore.onSnapshot
+    jest
+      .spyOn(store.$firestore, 'onSnapshot')
+      .mockImplementation((q, next, error) =>
+        onSnapshot(
+          q,
+          (snapshot) => {
+            snapshots.push(snapshot.docs.map(({ id }) => id))
+            next(snapshot)
+          },
+          error
+        )
+      )
+    return snapshots
+  }
+
+  beforeEach(async () => {
+    await createItem(store.$firestore, 'a', '01')
+    await createItem(store.$firestore, 'b', '02')
+    // The cache is used by default because Item enables softDelete.
+    await store.dispatch('register', {
+      collection: 'Items',
+      sortBy: 'code',
+      model: Item,
+    })
+    await store.dispatch('subscribe')
+    await flush()
+  })
+
+  it('saves documents of the master for the user', async () => {
+    const cached = await createMasterCache().load(UID, 'Items')
+    expect(cached.items.map(({ docId }) => docId)).toEqual(['a', 'b'])
+    expect(cached.items[0].updateAt).toBeInstanceOf(MemoryTimestamp)
+    const updateAt = store.getters.get('Items', 'b').updateAt
+    expect(cached.highWater).toBe(updateAt.toMillis())
+  })
+
+  it('reads only documents updated after the cache', async () => {
+    await store.dispatch('unsubscribe', ['Items'])
+    await flush()
+    const deleted = new Item(store.$firestore, null)
+    await deleted.fetch('a')
+    await deleted.delete()
+    await createItem(store.$firestore, 'c', '03')
+    const snapshots = recordSnapshots()
+
+    const promise = store.dispatch('subscribe')
+    await flush()
+    await promise
+    expect(snapshots[0].sort()).toEqual(['a', 'c'])
+    expect(store.getters.list('Items').map(({ docId }) => docId)).toEqual([
+      'b',
+      'c',
+    ])
+  })
+
+  it('shows the cache before the first snapshot', async () => {
+    await store.dispatch('unsubscribe', ['Items'])
+    jest
+      .spyOn(store.$firestore, 'onSnapshot')
+      .mockImplementation(() => () => {})
+    store.dispatch('subscribe')
+    await flush()
+    expect(store.getters.isLoading('Items')).toBe(true)
+    expect(store.getters.list('Items')).toHaveLength(2)
+  })
+
+  it('is cleared when signing out', async () => {
+    await store.dispatch('unsubscribe')
+    expect(store.state.isActive).toBe(false)
+    expect(store.getters.list('Items')).toEqual([])
+    expect(await createMasterCache().load(UID, 'Items')).toBeNull()
+  })
+})
+
+describe('createMasterCache()', () => {
+  // The cache of models/cache.js without the mock above.
+  const { createMasterCache: createCache } =
+    jest.requireActual('@/models/cache')
+
+  it('discards entries of another user or version', async () => {
+    const indexedDB = createIndexedDB()
+    const toTimestamp = (date) => MemoryTimestamp.fromDate(date)
+    const items = [{ docId: 'a', updateAt: MemoryTimestamp.fromMillis(1000) }]
+    const cache = createCache({ indexedDB, toTimestamp })
+    await cache.save(UID, 'Items', items)
+    expect(await cache.load(UID, 'Items')).toEqual({ items, highWater: 1000 })
+
+    const other = createCache({ indexedDB, toTimestamp, version: 2 })
+    expect(await other.load(UID, 'Items')).toBeNull()
+    expect(await cache.load(UID, 'Items')).toBeNull()
+
+    await cache.save(UID, 'Items', items)
+    expect(await cache.load('user-2', 'Items')).toBeNull()
+    expect(await cache.load(UID, 'Items')).toBeNull()
+  })
+
+  it('does nothing without IndexedDB', async () => {
+    const cache = createCache({ indexedDB: null })
+    await cache.save(UID, 'Items', [])
+    expect(await cache.load(UID, 'Items')).toBeNull()
+  })
+})
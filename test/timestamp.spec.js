@@ -0,0 +1,63 @@
+import dayjs from 'dayjs'
+import FireModel from '@/models/FireModel'
+import { createMemoryAdapter } from '@/models/adapters'
+import { configureLogger } from '@/models/logger'
+import { formatTimestamp } from '@/models/timestamp'
+
+dayjs.extend(require('dayjs/plugin/utc'))
+dayjs.extend(require('dayjs/plugin/timezone'))
+
+// 2023-10-01 12:00:00 in JST, written by a browser in JST by former versions.
+const time = Date.UTC(2023, 9, 1, 3)
+const offset = -540
+const legacy = {
+  createAt: time + offset * 60 * 1000,
+  createDate: '2023/10/1 12:00:00',
+  updateAt: time + offset * 60 * 1000,
+  updateDate: '2023/10/1 12:00:00',
+}
+
+beforeAll(() => {
+  configureLogger({ level: 'silent' })
+  dayjs.tz.setDefault('Asia/Tokyo')
+})
+
+afterAll(() => {
+  dayjs.tz.setDefault()
+})
+
+describe('formatTimestamp', () => {
+  it('formats Dates and Timestamps in the timezone', () => {
+    expect(formatTimestamp(new Date(time))).toBe('2023-10-01 12:00:00')
+    expect(formatTimestamp({ toDate: () => new Date(time) })).toBe(
+      '2023-10-01 12:00:00'
+    )
+    expect(formatTimestamp(null)).toBe('')
+  })
+
+  it('undoes the offset of numbers written by former versions', () => {
+    expect(formatTimestamp(legacy.createAt)).toBe('2023-10-01 12:00:00')
+  })
+})
+
+describe('documents written by former versions', () => {
+  it('shows the time and keeps the stored strings', async () => {
+    const adapter = createMemoryAdapter()
+    const ref = adapter.doc('Items', 'i1')
+    await adapter.runTransaction((transaction) =>
+      transaction.set(ref, { docId: 'i1', name: 'old', ...legacy })
+    )
+    const item = new FireModel(adapter, 'Items', null)
+    await item.fetch('i1')
+    expect(item.createDate).toBe('2023-10-01 12:00:00')
+    expect(item.updateDate).toBe('2023-10-01 12:00:00')
+
+    item.name = 'new'
+    await item.update()
+    const docSnap = await adapter.getDoc(ref)
+    expect(docSnap.data()).toMatchObject({
+      createDate: legacy.createDate,
+      createAt: legacy.createAt,
+    })
+  })
+})